@@ -0,0 +1,48 @@
+// remove.bg proxy: keeps REMOVEBG_KEY on the server. The browser posts a
+// multipart form with an image_file; the cut-out PNG (or remove.bg's error) comes back.
+const REMOVEBG_ENDPOINT = "https://api.remove.bg/v1.0/removebg";
+
+const jsonResponse = (body, status) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+export default async function handler(req) {
+  if (req.method !== "POST") return jsonResponse({ error: "Use POST." }, 405);
+
+  const apiKey = process.env.REMOVEBG_KEY;
+  if (!apiKey) return jsonResponse({ error: "REMOVEBG_KEY is not set on the server." }, 500);
+
+  let incoming;
+  try {
+    incoming = await req.formData();
+  } catch {
+    return jsonResponse({ error: "Request body must be multipart form data." }, 400);
+  }
+  const imageFile = incoming.get("image_file");
+  if (!imageFile || typeof imageFile === "string") {
+    return jsonResponse({ error: "An image_file is required." }, 400);
+  }
+
+  // only forward the image; size and type are fixed here
+  const formData = new FormData();
+  formData.append("image_file", imageFile);
+  formData.append("size", "auto");
+  formData.append("type", "auto");
+
+  let res;
+  try {
+    res = await fetch(REMOVEBG_ENDPOINT, {
+      method: "POST",
+      headers: { "X-Api-Key": apiKey },
+      body: formData,
+    });
+  } catch (err) {
+    return jsonResponse({ error: `Could not reach remove.bg: ${err.message}` }, 502);
+  }
+  return new Response(await res.arrayBuffer(), {
+    status: res.status,
+    headers: { "Content-Type": res.headers.get("Content-Type") || "application/octet-stream" },
+  });
+}
@@ -0,0 +1,49 @@
+import { STARTGG_QUERIES } from "../../src/queries.js";
+
+// start.gg proxy: keeps STARTGG_KEY on the server and only runs the whitelisted
+// queries in src/queries.js. The browser posts { operation, variables }; start.gg's
+// status and body are passed straight back so the client can classify errors.
+const STARTGG_ENDPOINT = "https://api.start.gg/gql/alpha";
+
+const jsonResponse = (body, status) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+export default async function handler(req) {
+  if (req.method !== "POST") return jsonResponse({ error: "Use POST." }, 405);
+
+  const apiKey = process.env.STARTGG_KEY;
+  if (!apiKey) return jsonResponse({ error: "STARTGG_KEY is not set on the server." }, 500);
+
+  let payload;
+  try {
+    payload = await req.json();
+  } catch {
+    return jsonResponse({ error: "Request body must be JSON." }, 400);
+  }
+  const query = Object.hasOwn(STARTGG_QUERIES, payload?.operation)
+    ? STARTGG_QUERIES[payload.operation]
+    : null;
+  if (!query) return jsonResponse({ error: `Unknown operation "${payload?.operation}".` }, 400);
+
+  let res;
+  try {
+    res = await fetch(STARTGG_ENDPOINT, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({ query, variables: payload.variables ?? {} }),
+    });
+  } catch (err) {
+    return jsonResponse({ error: `Could not reach start.gg: ${err.message}` }, 502);
+  }
+
+  const headers = { "Content-Type": res.headers.get("Content-Type") || "application/json" };
+  const retryAfter = res.headers.get("Retry-After");
+  if (retryAfter) headers["Retry-After"] = retryAfter;
+  return new Response(await res.text(), { status: res.status, headers });
+}
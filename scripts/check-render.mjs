@@ -0,0 +1,89 @@
+// Layout regression check: render the recorded demo event and compare it with the
+// committed reference image.
+//
+//   npm run check:render             compare, exit 1 on a mismatch
+//   npm run check:render -- --update replace the reference after an intended layout change
+//
+// The event is rendered by scripts/render-graphic.mjs in fixture replay mode, so no
+// STARTGG_KEY or network is needed. Node has no web fonts, so text is drawn with the
+// system fallback font; a small share of differing pixels (--threshold, default 1%)
+// is tolerated so font hinting differences between machines don't fail the check.
+import { execFile } from "node:child_process";
+import { copyFile, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs, promisify } from "node:util";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+
+const EVENT_SLUG = "tournament/abbey-tavern-demo-weekly/event/melee-singles";
+const REFERENCE = fileURLToPath(new URL("../fixtures/render/demo-weekly-top8.png", import.meta.url));
+const RENDER_SCRIPT = fileURLToPath(new URL("./render-graphic.mjs", import.meta.url));
+// a channel has to move by more than this to count the pixel as changed
+const CHANNEL_TOLERANCE = 16;
+
+const { values: args } = parseArgs({
+  options: {
+    update: { type: "boolean", default: false },
+    threshold: { type: "string", default: "0.01" },
+  },
+});
+
+async function readPixels(file) {
+  const img = await loadImage(file);
+  const canvas = createCanvas(img.width, img.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, img.width, img.height);
+}
+
+// share of pixels where any channel differs by more than CHANNEL_TOLERANCE
+function diffRatio(a, b) {
+  let changed = 0;
+  for (let i = 0; i < a.data.length; i += 4) {
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(a.data[i + c] - b.data[i + c]) > CHANNEL_TOLERANCE) {
+        changed++;
+        break;
+      }
+    }
+  }
+  return changed / (a.width * a.height);
+}
+
+const workDir = await mkdtemp(join(tmpdir(), "check-render-"));
+const actual = join(workDir, "demo-weekly-top8.png");
+let keepActual = false;
+
+try {
+  await promisify(execFile)(process.execPath, [RENDER_SCRIPT, EVENT_SLUG, "--out", actual], {
+    env: { ...process.env, VITE_STARTGG_FIXTURES: "replay" },
+  });
+
+  if (args.update) {
+    await copyFile(actual, REFERENCE);
+    console.log(`Updated ${REFERENCE}`);
+  } else {
+    const [expected, rendered] = await Promise.all([readPixels(REFERENCE), readPixels(actual)]);
+    if (expected.width !== rendered.width || expected.height !== rendered.height) {
+      keepActual = true;
+      throw new Error(
+        `Size changed: expected ${expected.width}x${expected.height}, got ${rendered.width}x${rendered.height}. See ${actual}`
+      );
+    }
+    const ratio = diffRatio(expected, rendered);
+    const threshold = Number(args.threshold);
+    if (ratio > threshold) {
+      keepActual = true;
+      throw new Error(
+        `${(ratio * 100).toFixed(2)}% of pixels changed (allowed ${(threshold * 100).toFixed(2)}%). See ${actual}`
+      );
+    }
+    console.log(`Render matches the reference (${(ratio * 100).toFixed(2)}% of pixels changed).`);
+  }
+} catch (err) {
+  console.error(err.stderr || err.message);
+  process.exitCode = 1;
+} finally {
+  if (!keepActual) await rm(workDir, { recursive: true, force: true });
+}
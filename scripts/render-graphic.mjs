@@ -0,0 +1,178 @@
+// Render a Top 8 graphic to a PNG without the browser UI.
+//
+//   npm run render -- tournament/<tournament>/event/<event> [options]
+//   npm run render -- entries.json [options]
+//
+// Options:
+//   --out <file>        PNG to write (default: <event or JSON file name>.png)
+//   --size <n>          bracket size when fetching an event (default 8)
+//   --theme <id|file>   built-in theme id or a theme JSON file (default: newsletter)
+//   --sponsors <mode>   hide, show or light (default: hide)
+//   --card              event card layout (name, date, attendance)
+//   --scale <n>         pixel ratio (default 1)
+//   --font <file>       font file to register under the theme's font family (e.g. Roboto Slab)
+//
+// Events are fetched through the start.gg proxy function, called in-process, so STARTGG_KEY
+// must be set (in .env or the environment); VITE_STARTGG_FIXTURES=replay uses the fixtures.
+// A JSON file is either an array of entries or { entries, headerText, theme, card }, where
+// entries look like the app's rows: { place, name, sponsor, characters, costumes }.
+//
+// The app's modules are loaded through Vite so import.meta.glob, import.meta.env and asset
+// URLs resolve the same way they do in the browser.
+import { readFile, writeFile } from "node:fs/promises";
+import { basename, extname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createCanvas, loadImage, GlobalFonts } from "@napi-rs/canvas";
+import { createServer } from "vite";
+
+const USAGE = "Usage: npm run render -- <event slug | entries.json> [--out file.png] [--size 8] [--theme id|file] [--sponsors hide|show|light] [--card] [--scale 1] [--font file]";
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: "string" },
+    size: { type: "string", default: "8" },
+    theme: { type: "string" },
+    sponsors: { type: "string", default: "hide" },
+    card: { type: "boolean", default: false },
+    scale: { type: "string", default: "1" },
+    font: { type: "string" },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+const input = positionals[0];
+if (args.help || !input) {
+  console.log(USAGE);
+  process.exit(args.help ? 0 : 1);
+}
+
+// icons are file: URLs under Node; a missing costume icon resolves to null like in the browser
+const loadNodeImage = async (url) => {
+  try {
+    return await loadImage(url.startsWith("file:") ? fileURLToPath(url) : url);
+  } catch {
+    return null;
+  }
+};
+
+// standings and reported characters for an event, shaped like the app's rows
+async function fetchEventEntries(api, util, slug, size) {
+  const { standings, stats } = await api.getEventResults(slug, size);
+  if (!standings.length) throw new Error(`No standings returned for ${slug}.`);
+
+  const sorted = standings
+    .slice()
+    .sort((a, b) => (a.placement ?? 0) - (b.placement ?? 0))
+    .slice(0, size);
+  const entrantIds = sorted.map((n) => n.entrant?.id).filter(Boolean);
+  const reported = await api.getEntrantCharacters(slug, entrantIds).catch((e) => {
+    console.warn(`Could not fetch reported characters: ${e.message}`);
+    return {};
+  });
+
+  const entries = sorted.map((n) => {
+    const participant = n.entrant?.participants?.[0];
+    const split = util.splitSponsor(n.entrant?.name ?? "Unknown");
+    const characters = reported[n.entrant?.id] ?? [];
+    return {
+      place: n.placement ?? "",
+      name: participant?.gamerTag || split.tag,
+      sponsor: participant ? participant.prefix || "" : split.sponsor,
+      character: characters[0],
+      characters,
+      costumes: {},
+    };
+  });
+  const card = {
+    title: stats.tournamentName || "",
+    date: util.formatEventDate(stats.startAt),
+    attendees: stats.nonDQAttendees ?? null,
+    sets: stats.nonDQSets ?? null,
+  };
+  return { entries, card };
+}
+
+async function readEntriesFile(file) {
+  const json = JSON.parse(await readFile(file, "utf8"));
+  const { entries, ...rest } = Array.isArray(json) ? { entries: json } : json;
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error(`${file} has no entries.`);
+  }
+  return {
+    ...rest,
+    entries: entries.map((e) => {
+      const characters = e.characters ?? (e.character ? [e.character] : []);
+      return { ...e, character: characters[0], characters, costumes: e.costumes ?? {} };
+    }),
+  };
+}
+
+async function resolveTheme(themes, value) {
+  if (!value) return themes.BUILT_IN_THEMES[themes.DEFAULT_THEME_ID];
+  if (themes.BUILT_IN_THEMES[value]) return themes.BUILT_IN_THEMES[value];
+  if (extname(value) === ".json") return JSON.parse(await readFile(value, "utf8"));
+  throw new Error(
+    `Unknown theme "${value}". Use one of ${Object.keys(themes.BUILT_IN_THEMES).join(", ")} or a JSON file.`
+  );
+}
+
+const vite = await createServer({
+  root: fileURLToPath(new URL("..", import.meta.url)),
+  server: { middlewareMode: true, hmr: false },
+  appType: "custom",
+  // nothing here runs in a browser, so skip scanning index.html for deps to pre-bundle
+  optimizeDeps: { noDiscovery: true, entries: [] },
+  logLevel: "error",
+});
+
+try {
+  const [api, util, themes, graphic, proxy] = await Promise.all([
+    vite.ssrLoadModule("/src/api.js"),
+    vite.ssrLoadModule("/src/util.js"),
+    vite.ssrLoadModule("/src/themes.js"),
+    vite.ssrLoadModule("/src/generategraphic.js"),
+    vite.ssrLoadModule("/netlify/functions/startgg.mjs"),
+  ]);
+  // no dev server to post to; hand queries straight to the proxy function
+  api.setStartggTransport((operation, variables) =>
+    proxy.default(
+      new Request("http://localhost/.netlify/functions/startgg", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ operation, variables }),
+      })
+    )
+  );
+
+  const size = Number(args.size) || 8;
+  const isJson = extname(input) === ".json";
+  const source = isJson
+    ? await readEntriesFile(input)
+    : await fetchEventEntries(api, util, util.extractSlug(input), size);
+
+  const theme = await resolveTheme(themes, args.theme ?? source.theme);
+  if (args.font) GlobalFonts.registerFromPath(args.font, theme.fontFamily.split(",")[0].trim());
+
+  const canvas = await graphic.generateGraphic(source.entries, {
+    theme,
+    headerText: source.headerText ?? themes.resolveHeaderText(theme, isJson ? source.entries.length : size),
+    card: args.card ? source.card ?? {} : null,
+    sponsors: args.sponsors,
+    createCanvas,
+    loadImage: loadNodeImage,
+    pixelRatio: Number(args.scale) || 1,
+  });
+
+  const out =
+    args.out ??
+    `${isJson ? basename(input, ".json") : util.extractSlug(input).split("/").filter(Boolean).join("-")}.png`;
+  await writeFile(out, await canvas.encode("png"));
+  console.log(`Wrote ${out} (${canvas.width}x${canvas.height})`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await vite.close();
+}
@@ -0,0 +1,41 @@
+// Player aliases: start.gg tag -> name to show instead (e.g. a nickname the player prefers)
+const ALIASES_KEY = "player-aliases";
+
+// aliases match tags case-insensitively
+function aliasKey(tag) {
+  return (tag || "").trim().toLowerCase();
+}
+
+// stored as { [lowercased tag]: { tag, alias } } so the original casing can be shown
+export function readAliases() {
+  try {
+    return JSON.parse(localStorage.getItem(ALIASES_KEY) || "{}");
+  } catch (e) {
+    console.warn("Invalid alias table, ignoring.", e);
+    return {};
+  }
+}
+
+// display name for a tag, or the tag itself when it has no alias
+export function resolveAlias(tag, aliases = readAliases()) {
+  return aliases[aliasKey(tag)]?.alias || tag;
+}
+
+export function listAliases() {
+  return Object.values(readAliases()).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+export function setAlias(tag, alias) {
+  const key = aliasKey(tag);
+  if (!key) throw new Error("A start.gg tag is required.");
+  if (!alias?.trim()) throw new Error("An alias is required.");
+  const aliases = readAliases();
+  aliases[key] = { tag: tag.trim(), alias: alias.trim() };
+  localStorage.setItem(ALIASES_KEY, JSON.stringify(aliases));
+}
+
+export function removeAlias(tag) {
+  const aliases = readAliases();
+  delete aliases[aliasKey(tag)];
+  localStorage.setItem(ALIASES_KEY, JSON.stringify(aliases));
+}
@@ -0,0 +1,98 @@
+import { listAliases, setAlias, removeAlias } from "./aliases.js";
+
+// Encapsulate the player alias panel: map a start.gg tag to the name shown in rows and graphics.
+// onChange() fires after an alias is added or removed.
+export function createAliasSection({ onChange = () => {} } = {}) {
+  // ============================================
+  // PLAYER ALIAS UI CREATION
+  // ============================================
+  const aliasSection = document.createElement("section");
+  aliasSection.id = "alias-section";
+  aliasSection.className = "alias-section";
+
+  const details = document.createElement("details");
+  aliasSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Player Aliases";
+  details.appendChild(summary);
+
+  const addRow = document.createElement("fieldset");
+  addRow.role = "group";
+  details.appendChild(addRow);
+
+  const tagInput = document.createElement("input");
+  tagInput.type = "text";
+  tagInput.placeholder = "start.gg tag";
+  addRow.appendChild(tagInput);
+
+  const aliasInput = document.createElement("input");
+  aliasInput.type = "text";
+  aliasInput.placeholder = "Display name";
+  addRow.appendChild(aliasInput);
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.textContent = "Add Alias";
+  addRow.appendChild(addBtn);
+
+  const aliasStatus = document.createElement("div");
+  aliasStatus.className = "cache-status";
+  details.appendChild(aliasStatus);
+
+  const table = document.createElement("table");
+  table.className = "alias-table";
+  table.innerHTML = "<thead><tr><th>start.gg tag</th><th>Shown as</th><th></th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  table.appendChild(tbody);
+  details.appendChild(table);
+
+  // ============================================
+  // PLAYER ALIAS EVENT LISTENERS
+  // ============================================
+
+  const renderAliases = () => {
+    tbody.innerHTML = "";
+    const aliases = listAliases();
+    if (!aliases.length) {
+      const cell = tbody.insertRow().insertCell();
+      cell.colSpan = 3;
+      cell.textContent = "No aliases yet.";
+      return;
+    }
+    aliases.forEach(({ tag, alias }) => {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = tag;
+      row.insertCell().textContent = alias;
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "secondary";
+      removeBtn.textContent = "Remove";
+      removeBtn.onclick = () => {
+        removeAlias(tag);
+        renderAliases();
+        onChange();
+      };
+      row.insertCell().appendChild(removeBtn);
+    });
+  };
+
+  addBtn.addEventListener("click", () => {
+    try {
+      setAlias(tagInput.value, aliasInput.value);
+      aliasStatus.textContent = `${tagInput.value.trim()} will show as ${aliasInput.value.trim()}.`;
+      tagInput.value = "";
+      aliasInput.value = "";
+      renderAliases();
+      onChange();
+    } catch (err) {
+      aliasStatus.textContent = err.message;
+    }
+  });
+
+  details.addEventListener("toggle", () => {
+    if (details.open) renderAliases();
+  });
+
+  return aliasSection; // Return the created section
+}
@@ -1,146 +1,292 @@
-import { extractSlug } from "./util.js";
+import { extractSlug, pickMeleeSinglesEvent } from "./util.js";
+import { getFixtureMode, replayFixture, recordFixture } from "./fixtures.js";
+import { readCachedResponse, saveCachedResponse } from "./responsecache.js";
 
-export async function getTop8(eventUrl) {
-  const eventSlug = extractSlug(eventUrl);
+// ============================================
+// START.GG GRAPHQL CLIENT
+// ============================================
 
-  const apiKey = import.meta.env.VITE_STARTGG_KEY;
-  if (!apiKey) throw new Error("API key not set (VITE_STARTGG_KEY)");
-
-  const query = `query EventStandings($slug: String) {
-        event(slug: $slug) {
-            standings(query: { perPage: 8, page: 1 }) {
-                nodes {
-                    placement
-                    entrant { name }
-                }
-            }
-        }
-    }`;
+// the start.gg proxy holds the API key and only runs the queries in queries.js
+// (netlify/functions/startgg.mjs, also served by the Vite dev server)
+const STARTGG_PROXY_ENDPOINT = "/.netlify/functions/startgg";
+
+// start.gg allows 80 requests per minute per token; stay a little under that
+const RATE_LIMIT_REQUESTS = 70;
+const RATE_LIMIT_WINDOW_MS = 60000;
+const MAX_CONCURRENT_REQUESTS = 4;
+// 429s and 5xx responses are retried with exponential backoff (1s, 2s, 4s)
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+// paginated queries stop here and warn rather than hammering the API for huge events
+const MAX_PAGES = 20;
+// per-event queries whose responses are cached once the event is completed
+const CACHED_OPERATIONS = ["EventStandings", "EventSetsData", "EventResults", "EntrantGameSelections"];
+
+// kind is "auth", "not-found", "rate-limited", "network" or "query"
+export class StartggError extends Error {
+  constructor(message, { kind = "query", status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "StartggError";
+    this.kind = kind;
+    this.status = status;
+  }
+
+  get retryable() {
+    return this.kind === "rate-limited" || this.kind === "network";
+  }
+}
+
+export class StartggAuthError extends StartggError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "auth" });
+    this.name = "StartggAuthError";
+  }
+}
+
+export class StartggNotFoundError extends StartggError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "not-found" });
+    this.name = "StartggNotFoundError";
+  }
+}
 
-  const res = await fetch("https://api.start.gg/gql/alpha", {
+export class StartggRateLimitError extends StartggError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "rate-limited" });
+    this.name = "StartggRateLimitError";
+  }
+}
+
+export class StartggNetworkError extends StartggError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "network" });
+    this.name = "StartggNetworkError";
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// throttle: at most MAX_CONCURRENT_REQUESTS in flight and RATE_LIMIT_REQUESTS per window
+let activeRequests = 0;
+const waitingRequests = [];
+const recentRequestTimes = [];
+
+async function acquireRequestSlot() {
+  while (activeRequests >= MAX_CONCURRENT_REQUESTS) {
+    await new Promise((resolve) => waitingRequests.push(resolve));
+  }
+  activeRequests++;
+  for (;;) {
+    const now = Date.now();
+    while (recentRequestTimes.length && now - recentRequestTimes[0] >= RATE_LIMIT_WINDOW_MS) {
+      recentRequestTimes.shift();
+    }
+    if (recentRequestTimes.length < RATE_LIMIT_REQUESTS) break;
+    // wait for the oldest request in the window to age out
+    await sleep(RATE_LIMIT_WINDOW_MS - (now - recentRequestTimes[0]));
+  }
+  recentRequestTimes.push(Date.now());
+}
+
+function releaseRequestSlot() {
+  activeRequests--;
+  waitingRequests.shift()?.();
+}
+
+// how a query reaches the proxy: (operation, variables) => fetch Response
+let startggTransport = (operation, variables) =>
+  fetch(STARTGG_PROXY_ENDPOINT, {
     method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({ query, variables: { slug: eventSlug } }),
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ operation, variables }),
   });
 
-  const json = await res.json();
-  return json.data?.event?.standings?.nodes ?? [];
+// Swap how queries reach the proxy; scripts/render-graphic.mjs calls the proxy
+// function in-process since Node has no dev server to post to.
+export function setStartggTransport(transport) {
+  startggTransport = transport;
 }
 
-export async function getEventStats(eventUrl) {
-  const eventSlug = extractSlug(eventUrl);
+async function postQuery(operation, variables) {
+  await acquireRequestSlot();
+  try {
+    const res = await startggTransport(operation, variables);
+    const json = await res.json().catch(() => null);
+    return { status: res.status, ok: res.ok, retryAfter: res.headers.get("Retry-After"), json };
+  } catch (err) {
+    throw new StartggNetworkError("Could not reach start.gg. Check your connection and try again.", {
+      cause: err,
+    });
+  } finally {
+    releaseRequestSlot();
+  }
+}
 
-  const apiKey = import.meta.env.VITE_STARTGG_KEY;
-  if (!apiKey) throw new Error("API key not set (VITE_STARTGG_KEY)");
-  
-  // New query to fetch tournament sets data with pagination
-  const query = `query TournamentSetsData($slug: String, $page: Int) {
-    tournament(slug: $slug) {
-      id
-      name
-      events {
-        id
-        name
-        sets(page: $page, perPage: 50) { # Fetch 50 sets per page
-          pageInfo {
-            total
-            totalPages
-          }
-          nodes {
-            id
-            fullRoundText
-            displayScore
-            winnerId
-            state
-            # Slots contain the entrants/players in the set
-            slots {
-              id
-              entrant {
-                id
-                name
-              }
-            }
-          }
-        }
-      }
-    }
-  }`;
+// the typed error for a failed response, or null when it carries data
+function responseError({ status, ok, json }) {
+  // the proxy reports its own problems (missing key, unknown operation, start.gg unreachable) as { error }
+  if (json?.error) {
+    if (status === 500) return new StartggAuthError(json.error, { status });
+    if (status === 502) return new StartggNetworkError(json.error, { status });
+    return new StartggError(json.error, { status });
+  }
+  if (status === 401 || status === 403) {
+    return new StartggAuthError(
+      "start.gg rejected the API key (STARTGG_KEY). Check that it is set and still valid.",
+      { status }
+    );
+  }
+  if (status === 429) {
+    return new StartggRateLimitError("start.gg rate limit reached. Wait a minute and try again.", {
+      status,
+    });
+  }
+  if (status >= 500) {
+    return new StartggNetworkError(`start.gg is unavailable right now (HTTP ${status}).`, { status });
+  }
+  if (!ok) return new StartggError(`start.gg request failed (HTTP ${status}).`, { status });
+  if (!json) return new StartggNetworkError("start.gg sent a response that could not be read.");
 
-  // The eventUrl is in the format "tournament/TOURNAMENT_SLUG/event/EVENT_SLUG"
-  // We need to extract the tournament slug and the event slug part for matching.
-  const fullEventSlug = eventSlug;
-  const tournamentSlugMatch = fullEventSlug.match(/tournament\/([^\/]+)/);
-  const tournamentSlug = tournamentSlugMatch ? tournamentSlugMatch[1] : null;
-  const eventSlugPart = fullEventSlug.split('/event/')[1]?.split('/')[0]; // e.g., "melee-singles"
+  // GraphQL errors come back as 200s; start.gg also reports auth/rate limits this way
+  const messages = [
+    ...(json.errors ?? []).map((e) => e.message),
+    ...(json.success === false ? [json.message] : []),
+  ].filter(Boolean);
+  if (!messages.length) return null;
+  const message = messages.join("; ");
+  if (/rate limit/i.test(message)) {
+    return new StartggRateLimitError("start.gg rate limit reached. Wait a minute and try again.");
+  }
+  if (/auth|token/i.test(message)) {
+    return new StartggAuthError(`start.gg rejected the API key (STARTGG_KEY): ${message}`);
+  }
+  return new StartggError(`start.gg query failed: ${message}`);
+}
 
-  if (!tournamentSlug || !eventSlugPart) {
-    throw new Error("Invalid event URL format. Could not extract tournament or event slug from: " + fullEventSlug);
+// Run one of the queries in queries.js (by operation name) through the proxy and return its
+// data, retrying rate limits and server/network failures.
+// Throws a StartggError subclass describing what went wrong.
+// In fixture replay mode the data comes from fixtures/startgg/ instead (see fixtures.js).
+// Completed events are answered from the response cache unless refresh is set.
+export async function startggRequest(operation, variables = {}, { refresh = false } = {}) {
+  const fixtureMode = getFixtureMode();
+  if (fixtureMode === "replay") {
+    const data = await replayFixture(operation, variables);
+    if (!data) {
+      throw new StartggNotFoundError(
+        `No fixture recorded for ${operation} ${JSON.stringify(variables)}.`
+      );
+    }
+    return data;
   }
 
-  const maxPagesToFetch = 10;
+  // recordings always go to start.gg so every query ends up in the fixture
+  const cacheable = fixtureMode !== "record" && CACHED_OPERATIONS.includes(operation);
+  if (cacheable && !refresh) {
+    const cached = await readCachedResponse(operation, variables);
+    if (cached) return cached;
+  }
 
-  const fetchPage = async (page) => {
-    const res = await fetch("https://api.start.gg/gql/alpha", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({ query, variables: { slug: tournamentSlug, page } }),
-    });
-    const json = await res.json();
-    if (json.errors) {
-      console.error(`GraphQL Errors on page ${page}:`, json.errors);
-      return null;
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let retryAfterMs = null;
+    try {
+      const response = await postQuery(operation, variables);
+      error = responseError(response);
+      if (!error) {
+        const { data } = response.json;
+        if (fixtureMode === "record") recordFixture(operation, variables, data);
+        // results can still change until the event is over
+        if (cacheable && data?.event?.state === "COMPLETED") {
+          await saveCachedResponse(operation, variables, data);
+        }
+        return data;
+      }
+      retryAfterMs = Number(response.retryAfter) * 1000 || null;
+    } catch (err) {
+      error = err;
     }
-    return json;
-  };
+    if (!error.retryable || attempt >= MAX_RETRIES) throw error;
+    const delay = retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** attempt;
+    console.warn(`${error.message} Retrying in ${delay / 1000}s.`);
+    await sleep(delay);
+  }
+}
 
-  const processResponse = (json) => {
-    const tournamentData = json?.data?.tournament;
-    if (!tournamentData?.events) return null;
+// Fetch page 1 of a paginated query, then the remaining pages (up to MAX_PAGES) through the throttle.
+// getConnection(data) picks the { pageInfo, nodes } connection out of a page's data.
+// Pass firstPage when page 1 already came back as part of a larger query, and refresh
+// to skip the response cache.
+// Returns { firstPage, nodes, truncated } where firstPage is page 1's data.
+async function fetchAllPages(
+  operation,
+  variables,
+  getConnection,
+  label,
+  { firstPage = null, refresh = false } = {}
+) {
+  firstPage ??= await startggRequest(operation, { ...variables, page: 1 }, { refresh });
+  const totalPages = getConnection(firstPage)?.pageInfo?.totalPages || 1;
+  const lastPage = Math.min(totalPages, MAX_PAGES);
 
-    const targetEvent = tournamentData.events.find((e) => {
-      const normalizedEventName = e.name
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/^-|-$/g, "");
-      return normalizedEventName === eventSlugPart;
-    });
+  const promises = [];
+  for (let page = 2; page <= lastPage; page++) {
+    promises.push(startggRequest(operation, { ...variables, page }, { refresh }));
+  }
+  const pages = [firstPage, ...(await Promise.all(promises))];
 
-    return targetEvent;
+  const truncated = totalPages > MAX_PAGES;
+  if (truncated) {
+    console.warn(`Only fetched ${MAX_PAGES} of ${totalPages} pages of ${label}; results are incomplete.`);
+  }
+  return {
+    firstPage,
+    nodes: pages.flatMap((data) => getConnection(data)?.nodes ?? []),
+    truncated,
   };
+}
 
-  // Fetch page 1
-  let allSets = [];
-  const page1Json = await fetchPage(1);
-  const page1Event = processResponse(page1Json);
+// ============================================
+// QUERIES
+// ============================================
+// The per-event queries take { refresh } to bypass the response cache.
 
-  if (page1Event?.sets) {
-    allSets = allSets.concat(page1Event.sets.nodes || []);
-    const totalPages = page1Event.sets.pageInfo?.totalPages || 1;
+export async function getTop8(eventUrl, count = 8, options = {}) {
+  return (await getEventStandings(eventUrl, count, options)).standings;
+}
 
-    // Fetch remaining pages in parallel
-    const promises = [];
-    for (let p = 2; p <= Math.min(totalPages, maxPagesToFetch); p++) {
-      promises.push(fetchPage(p));
-    }
+// Like getTop8, along with the event's details and state ("COMPLETED" once its standings are final).
+// Returns { tournamentName, eventName, startAt, state, standings }.
+export async function getEventStandings(eventUrl, count = 8, { refresh = false } = {}) {
+  const eventSlug = extractSlug(eventUrl);
 
-    const results = await Promise.all(promises);
-    results.forEach((json) => {
-      const event = processResponse(json);
-      if (event?.sets?.nodes) {
-        allSets = allSets.concat(event.sets.nodes);
-      }
-    });
-  } else {
-    console.warn(
-      `Event with slug part '${eventSlugPart}' or its sets not found within tournament '${tournamentSlug}'.`
-    );
+  const data = await startggRequest("EventStandings", { slug: eventSlug, perPage: count }, { refresh });
+  if (!data?.event) {
+    throw new StartggNotFoundError(`No start.gg event found at "${eventSlug}". Check the URL.`);
+  }
+  return {
+    tournamentName: data.event.tournament?.name ?? null,
+    eventName: data.event.name ?? null,
+    startAt: data.event.startAt ?? null,
+    state: data.event.state,
+    standings: data.event.standings?.nodes ?? [],
+  };
+}
+
+// Fetch the rest of an event's sets and summarize them. firstPage is the data of
+// a query that already returned the event and its first page of sets.
+async function collectEventStats(eventSlug, firstPage, refresh) {
+  const event = firstPage?.event;
+  if (!event) {
+    throw new StartggNotFoundError(`No start.gg event found at "${eventSlug}". Check the URL.`);
   }
+  const { nodes: allSets, truncated } = await fetchAllPages(
+    "EventSetsData",
+    { slug: eventSlug },
+    (data) => data?.event?.sets,
+    `sets for ${eventSlug}`,
+    { firstPage, refresh }
+  );
 
   // Calculate unique number of players that didn't DQ out (from non-DQ sets)
   const nonDQEntrantIds = new Set();
@@ -162,6 +308,172 @@ export async function getEventStats(eventUrl) {
   }
 
   const nonDQAttendees = nonDQEntrantIds.size;
-  
-  return { nonDQAttendees, nonDQSets: nonDQSetsCount };
+
+  // Grand Final (and Grand Final Reset, if one was played) for the newsletter
+  const grandFinals = allSets
+    .filter((set) => /^grand final/i.test(set.fullRoundText || "") && set.displayScore)
+    .sort((a, b) => a.fullRoundText.length - b.fullRoundText.length)
+    .map((set) => ({ round: set.fullRoundText, displayScore: set.displayScore }));
+
+  return {
+    nonDQAttendees,
+    nonDQSets: nonDQSetsCount,
+    tournamentName: event.tournament?.name ?? null,
+    eventName: event.name ?? null,
+    startAt: event.startAt ?? null, // unix seconds
+    grandFinals,
+    sets: allSets, // raw set nodes (with seeds and placements) for the upset analysis and bracket view
+    truncated, // true when the event had more sets than we fetch
+  };
+}
+
+export async function getEventStats(eventUrl, { refresh = false } = {}) {
+  const eventSlug = extractSlug(eventUrl);
+  const firstPage = await startggRequest("EventSetsData", { slug: eventSlug, page: 1 }, { refresh });
+  return collectEventStats(eventSlug, firstPage, refresh);
+}
+
+// Standings and set stats for one event. The standings ride along with the first
+// page of sets, so the rest of the set pages can start right away.
+// Returns { standings, stats } shaped like getTop8 and getEventStats.
+export async function getEventResults(eventUrl, count = 8, { refresh = false } = {}) {
+  const eventSlug = extractSlug(eventUrl);
+
+  const firstPage = await startggRequest(
+    "EventResults",
+    { slug: eventSlug, perPage: count, page: 1 },
+    { refresh }
+  );
+  const stats = await collectEventStats(eventSlug, firstPage, refresh);
+  return { standings: firstPage.event.standings?.nodes ?? [], stats };
+}
+
+// Rank each entrant's characters by games played, using the per-game
+// selections reported on their sets. Returns { entrantId: [character, ...] }
+// with the most played character first; entrants with no reported
+// selections are left out.
+export async function getEntrantCharacters(eventUrl, entrantIds, { refresh = false } = {}) {
+  const eventSlug = extractSlug(eventUrl);
+  if (!entrantIds?.length) return {};
+
+  const { nodes: sets } = await fetchAllPages(
+    "EntrantGameSelections",
+    { slug: eventSlug, entrantIds },
+    (data) => data?.event?.sets,
+    `game selections for ${eventSlug}`,
+    { refresh }
+  );
+
+  // entrantId -> character name -> games played
+  const wanted = new Set(entrantIds.map(String));
+  const counts = {};
+  for (const set of sets) {
+    for (const game of set.games ?? []) {
+      for (const selection of game.selections ?? []) {
+        const entrantId = String(selection.entrant?.id ?? "");
+        const character = selection.character?.name;
+        if (!wanted.has(entrantId) || !character) continue;
+        counts[entrantId] ??= {};
+        counts[entrantId][character] = (counts[entrantId][character] || 0) + 1;
+      }
+    }
+  }
+
+  const ranked = {};
+  for (const [entrantId, byCharacter] of Object.entries(counts)) {
+    ranked[entrantId] = Object.entries(byCharacter)
+      .sort((a, b) => b[1] - a[1])
+      .map(([character]) => character);
+  }
+  return ranked;
+}
+
+// Melee singles events from tournaments whose name matches `name`, held between
+// two dates (Date objects or unix seconds), oldest first.
+// Returns [{ slug, tournamentName, eventName, startAt }] with slug "tournament/.../event/..."
+export async function getSeasonEvents({ name, after, before }) {
+  const toSeconds = (d) => (d instanceof Date ? Math.floor(d.getTime() / 1000) : d ?? null);
+
+  const { nodes: tournaments } = await fetchAllPages(
+    "SeasonTournaments",
+    { name, afterDate: toSeconds(after), beforeDate: toSeconds(before) },
+    (data) => data?.tournaments,
+    `tournaments matching "${name}"`
+  );
+
+  const events = [];
+  for (const tournament of tournaments) {
+    const event = pickMeleeSinglesEvent(tournament.events);
+    if (!event) continue;
+    events.push({
+      slug: event.slug,
+      tournamentName: tournament.name,
+      eventName: event.name,
+      startAt: event.startAt ?? tournament.startAt,
+    });
+  }
+  return events;
+}
+
+// Recent events from a list of sources, newest first. A source is
+// "user/<slug>" (tournaments that user owns), "league/<slug>" (a league's
+// events) or a series slug as in start.gg/abbey, resolved to its league or to
+// the owner of the tournament at that slug.
+// A source that fails is skipped, so the others still fill the list; only when every
+// source fails is the first error thrown.
+// Returns { events: [{ slug, tournamentName, eventName, startAt, state, videogameId }],
+// failed: [{ source, error }] }
+export async function getRecentEvents(sources, perSource = 10) {
+  const toEvent = (event, tournamentName) => ({
+    slug: event.slug,
+    tournamentName,
+    eventName: event.name,
+    startAt: event.startAt ?? null,
+    state: event.state ?? null,
+    videogameId: event.videogame?.id ?? null,
+  });
+
+  const fetchLeague = async (slug) => {
+    const data = await startggRequest("LeagueEvents", { slug, perPage: perSource * 3 });
+    return (data?.league?.events?.nodes ?? []).map((e) => toEvent(e, e.tournament?.name ?? ""));
+  };
+
+  const fetchSource = async (source) => {
+    const [kind, slug] = source.includes("/") ? source.split("/", 2) : [null, source];
+    if (kind === "league") return fetchLeague(slug);
+    let ownerId;
+    if (kind === "user") {
+      const owner = await startggRequest("TournamentOwner", { slug: source });
+      if (!owner?.user?.id) return [];
+      ownerId = owner.user.id;
+    } else {
+      const series = await startggRequest("SeriesOwner", { slug: source });
+      if (series?.league?.id) return fetchLeague(source);
+      ownerId = series?.tournament?.owner?.id;
+      if (!ownerId) {
+        throw new StartggNotFoundError(`No start.gg league or tournament found at start.gg/${source}.`);
+      }
+    }
+    const data = await startggRequest("RecentTournaments", { perPage: perSource, ownerId });
+    return (data?.tournaments?.nodes ?? []).flatMap((t) =>
+      (t.events ?? []).map((e) => toEvent(e, t.name))
+    );
+  };
+
+  // sources can overlap (a league's events are also its owner's tournaments)
+  const bySlug = new Map();
+  const failed = [];
+  const results = await Promise.allSettled(sources.map(fetchSource));
+  results.forEach((result, i) => {
+    if (result.status === "rejected") {
+      failed.push({ source: sources[i], error: result.reason });
+      return;
+    }
+    result.value.forEach((event) => bySlug.set(event.slug, event));
+  });
+  if (failed.length && failed.length === sources.length) throw failed[0].error;
+  return {
+    events: [...bySlug.values()].sort((a, b) => (b.startAt ?? 0) - (a.startAt ?? 0)),
+    failed,
+  };
 }
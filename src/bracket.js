@@ -0,0 +1,144 @@
+import { cleanName } from "./util.js";
+
+// Bracket results built from the set nodes returned by getEventStats/getEventResults:
+// sets grouped by round, each player's path through the bracket, the Grand
+// Finals / bracket reset story, and a plain text version for the newsletter.
+
+const SECTIONS = ["Winners", "Losers", "Grand Finals"];
+
+const isGrandFinal = (set) => /^grand final/i.test(set.fullRoundText || "");
+
+// "Name 3 - Other 1" -> "3-1" from the winner's side; null for DQs and anything we can't read
+function winnerScore(displayScore, winnerName) {
+  const match = (displayScore || "").match(/^(.*) (-?\d+) - (.*) (-?\d+)$/);
+  if (!match) return null;
+  const [, leftName, left, rightName, right] = match;
+  const winnerIsLeft = leftName === winnerName || rightName !== winnerName;
+  return winnerIsLeft ? `${left}-${right}` : `${right}-${left}`;
+}
+
+// Played (or DQ'd) two-player sets with the winner and loser resolved.
+// Returns [{ id, section, round, roundText, winner, loser, score, dq, completedAt }]
+// where winner/loser are { id, name } and score is "3-1" from the winner's side.
+export function describeSets(sets) {
+  const described = [];
+  for (const set of sets ?? []) {
+    if (!set.winnerId || set.slots?.length !== 2) continue;
+    const winnerIndex = set.slots.findIndex(
+      (s) => String(s.entrant?.id) === String(set.winnerId)
+    );
+    if (winnerIndex === -1) continue;
+    const winnerSlot = set.slots[winnerIndex];
+    const loserSlot = set.slots[1 - winnerIndex];
+    const dq = (set.displayScore || "").toLowerCase().includes("dq");
+
+    described.push({
+      id: set.id,
+      section: isGrandFinal(set) ? "Grand Finals" : (set.round ?? 0) < 0 ? "Losers" : "Winners",
+      round: set.round ?? 0,
+      roundText: set.fullRoundText || "",
+      winner: { id: String(winnerSlot.entrant.id), name: cleanName(winnerSlot.entrant.name) },
+      loser: { id: String(loserSlot.entrant?.id), name: cleanName(loserSlot.entrant?.name) },
+      score: dq
+        ? "DQ"
+        : winnerScore(set.displayScore, winnerSlot.entrant.name) ?? set.displayScore ?? "",
+      dq,
+      completedAt: set.completedAt ?? null,
+    });
+  }
+  return described;
+}
+
+// bracket order: winners rounds first to last, then losers, then Grand Finals and the reset
+function bracketOrder(a, b) {
+  const section = SECTIONS.indexOf(a.section) - SECTIONS.indexOf(b.section);
+  if (section) return section;
+  if (a.section === "Grand Finals") return /reset/i.test(a.roundText) - /reset/i.test(b.roundText);
+  return Math.abs(a.round) - Math.abs(b.round);
+}
+
+// Group sets by round in bracket order.
+// Returns [{ section, roundText, sets: [described set, ...] }]
+export function groupSetsByRound(sets) {
+  const rounds = [];
+  describeSets(sets)
+    .sort(bracketOrder)
+    .forEach((set) => {
+      const last = rounds[rounds.length - 1];
+      if (last && last.section === set.section && last.roundText === set.roundText) {
+        last.sets.push(set);
+      } else {
+        rounds.push({ section: set.section, roundText: set.roundText, sets: [set] });
+      }
+    });
+  return rounds;
+}
+
+// One player's sets in the order they were played, scores from that player's side.
+// Returns [{ roundText, opponent, won, score }]
+export function playerPath(sets, entrantId) {
+  const id = String(entrantId);
+  return describeSets(sets)
+    .filter((set) => set.winner.id === id || set.loser.id === id)
+    .sort((a, b) =>
+      a.completedAt && b.completedAt ? a.completedAt - b.completedAt : bracketOrder(a, b)
+    )
+    .map((set) => {
+      const won = set.winner.id === id;
+      return {
+        roundText: set.roundText,
+        opponent: won ? set.loser.name : set.winner.name,
+        won,
+        score: won ? set.score : set.score.replace(/^(\d+)-(\d+)$/, "$2-$1"),
+      };
+    });
+}
+
+// Grand Finals summary, calling out a bracket reset; null when Grand Finals wasn't played
+export function grandFinalsCallout(sets) {
+  const finals = describeSets(sets)
+    .filter((set) => set.section === "Grand Finals")
+    .sort(bracketOrder);
+  if (!finals.length) return null;
+
+  const [gf, reset] = finals;
+  if (!reset) {
+    return `Grand Finals: ${gf.winner.name} beat ${gf.loser.name} ${gf.score}, no bracket reset.`;
+  }
+  return (
+    `Bracket reset! ${gf.winner.name} took the first set of Grand Finals ${gf.score} ` +
+    `from ${gf.loser.name}, then ${reset.winner.name} won the reset ${reset.score}.`
+  );
+}
+
+// Plain text results for pasting into the newsletter.
+// players is [{ entrantId, name, place }] for the top players whose paths should be listed.
+export function buildBracketText({ sets, players = [] }) {
+  const lines = [];
+  const callout = grandFinalsCallout(sets);
+  if (callout) lines.push(callout, "");
+
+  let section = null;
+  groupSetsByRound(sets).forEach((round) => {
+    if (round.section !== section) {
+      section = round.section;
+      lines.push(`== ${section} ==`);
+    }
+    lines.push(`${round.roundText}:`);
+    round.sets.forEach((set) => {
+      lines.push(`  ${set.winner.name} def. ${set.loser.name} ${set.score}`);
+    });
+  });
+
+  const paths = players.filter((p) => p.entrantId);
+  if (paths.length) {
+    lines.push("", "== Player paths ==");
+    paths.forEach((p) => {
+      const steps = playerPath(sets, p.entrantId).map(
+        (step) => `${step.won ? "W" : "L"} ${step.opponent} ${step.score}`
+      );
+      lines.push(`${p.place}. ${p.name}: ${steps.join(", ") || "no sets"}`);
+    });
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,150 @@
+import { groupSetsByRound, playerPath, grandFinalsCallout, buildBracketText } from "./bracket.js";
+import { downloadBlob } from "./util.js";
+
+// Encapsulate the bracket results panel: sets by round, each top player's path and the Grand Finals callout.
+// getBracketInput() returns { sets, players: [{ entrantId, name, place }], eventUrl } or null before a fetch.
+export function createBracketSection({ getBracketInput }) {
+  // ============================================
+  // BRACKET RESULTS UI CREATION
+  // ============================================
+  const bracketSection = document.createElement("section");
+  bracketSection.id = "bracket-section";
+  bracketSection.className = "bracket-section";
+
+  const details = document.createElement("details");
+  bracketSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Bracket Results";
+  details.appendChild(summary);
+
+  const actions = document.createElement("div");
+  actions.className = "newsletter-actions";
+  details.appendChild(actions);
+
+  const copyBtn = document.createElement("button");
+  copyBtn.type = "button";
+  copyBtn.textContent = "Copy as Text";
+  actions.appendChild(copyBtn);
+
+  const downloadBtn = document.createElement("button");
+  downloadBtn.type = "button";
+  downloadBtn.className = "secondary";
+  downloadBtn.textContent = "Download .txt";
+  actions.appendChild(downloadBtn);
+
+  const bracketStatus = document.createElement("div");
+  bracketStatus.className = "cache-status";
+  details.appendChild(bracketStatus);
+
+  const callout = document.createElement("p");
+  callout.className = "grand-finals-callout";
+  details.appendChild(callout);
+
+  const pathsArea = document.createElement("div");
+  pathsArea.className = "player-paths";
+  details.appendChild(pathsArea);
+
+  const roundsArea = document.createElement("div");
+  roundsArea.className = "bracket-rounds";
+  details.appendChild(roundsArea);
+
+  // ============================================
+  // BRACKET RESULTS EVENT LISTENERS
+  // ============================================
+
+  const renderBracket = () => {
+    callout.textContent = "";
+    pathsArea.innerHTML = "";
+    roundsArea.innerHTML = "";
+    const input = getBracketInput();
+    if (!input?.sets?.length) {
+      bracketStatus.textContent = "Fetch an event first.";
+      return;
+    }
+    bracketStatus.textContent = "";
+    callout.textContent = grandFinalsCallout(input.sets) || "";
+
+    // each top player's run, e.g. "W Mango 2-1, L Armada 0-2, ..."
+    const paths = document.createElement("ol");
+    input.players
+      .filter((p) => p.entrantId)
+      .forEach((p) => {
+        const item = document.createElement("li");
+        if (Number(p.place)) item.value = Number(p.place); // ties share a number
+        const name = document.createElement("strong");
+        name.textContent = p.name;
+        item.appendChild(name);
+        const steps = playerPath(input.sets, p.entrantId);
+        item.appendChild(document.createTextNode(steps.length ? ": " : ": no sets"));
+        steps.forEach((step, i) => {
+          const span = document.createElement("span");
+          span.className = step.won ? "path-win" : "path-loss";
+          span.title = step.roundText;
+          span.textContent = `${step.won ? "W" : "L"} ${step.opponent} ${step.score}`;
+          if (i) item.appendChild(document.createTextNode(", "));
+          item.appendChild(span);
+        });
+        paths.appendChild(item);
+      });
+    if (paths.children.length) {
+      const heading = document.createElement("h4");
+      heading.textContent = "Player paths";
+      pathsArea.appendChild(heading);
+      pathsArea.appendChild(paths);
+    }
+
+    let section = null;
+    groupSetsByRound(input.sets).forEach((round) => {
+      if (round.section !== section) {
+        section = round.section;
+        const heading = document.createElement("h4");
+        heading.textContent = section;
+        roundsArea.appendChild(heading);
+      }
+      const table = document.createElement("table");
+      table.className = "bracket-round-table";
+      const caption = table.createCaption();
+      caption.textContent = round.roundText;
+      const tbody = table.createTBody();
+      round.sets.forEach((set) => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = set.winner.name;
+        row.insertCell().textContent = set.score;
+        row.insertCell().textContent = set.loser.name;
+      });
+      roundsArea.appendChild(table);
+    });
+  };
+
+  details.addEventListener("toggle", () => {
+    if (details.open) renderBracket();
+  });
+
+  const bracketText = () => {
+    const input = getBracketInput();
+    return input?.sets?.length ? buildBracketText(input) : "";
+  };
+
+  copyBtn.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(bracketText());
+      copyBtn.textContent = "Copied!";
+      setTimeout(() => (copyBtn.textContent = "Copy as Text"), 2000);
+    } catch (err) {
+      console.error("Failed to copy bracket results: ", err);
+      bracketStatus.textContent = `Failed to copy bracket results: ${err.message}`;
+    }
+  });
+
+  downloadBtn.addEventListener("click", () => {
+    const input = getBracketInput();
+    const tournament = input?.eventUrl?.match(/tournament\/([^/]+)/)?.[1];
+    downloadBlob(
+      new Blob([bracketText()], { type: "text/plain" }),
+      `${tournament || "bracket"}-results.txt`
+    );
+  });
+
+  return bracketSection; // Return the created section
+}
@@ -0,0 +1,208 @@
+import { cleanName } from "./util.js";
+import { MELEE_CHARACTERS } from "./icon.js";
+
+const CACHE_KEY = "character-cache";
+const CACHE_VERSION = 2;
+
+// Cache layout (version 2):
+// {
+//   version: 2,
+//   players: { [start.gg player id]: { name, characters, costumes } },
+//   names: { [cleaned name]: { characters, costumes } } // players we have no id for
+// }
+// Lookups go by player id first; the name is a secondary index for rows without an id.
+
+// normalize a cache value; older caches stored a single character string or a bare list per player
+function normalizeCacheEntry(value) {
+  if (!value) return { characters: [], costumes: {} };
+  if (typeof value === "string") return { characters: [value], costumes: {} };
+  if (Array.isArray(value)) {
+    return { characters: value.filter(Boolean), costumes: {} };
+  }
+  return {
+    characters: (value.characters || []).filter(Boolean),
+    costumes: value.costumes || {},
+  };
+}
+
+// bring any stored shape up to the current version; version 1 was a flat name -> value map
+function normalizeCache(raw) {
+  if (raw?.version === CACHE_VERSION) {
+    const players = {};
+    Object.entries(raw.players || {}).forEach(([id, value]) => {
+      players[id] = { name: value?.name || "", ...normalizeCacheEntry(value) };
+    });
+    const names = {};
+    Object.entries(raw.names || {}).forEach(([name, value]) => {
+      names[name] = normalizeCacheEntry(value);
+    });
+    return { version: CACHE_VERSION, players, names };
+  }
+
+  const names = {};
+  Object.entries(raw || {}).forEach(([name, value]) => {
+    names[name] = normalizeCacheEntry(value);
+  });
+  return { version: CACHE_VERSION, players: {}, names };
+}
+
+// load persisted cache (player id / name -> { characters, costumes })
+export function readCharacterCache() {
+  try {
+    return normalizeCache(JSON.parse(localStorage.getItem(CACHE_KEY) || "{}"));
+  } catch (e) {
+    console.warn("Invalid character cache, ignoring.", e);
+    return normalizeCache({});
+  }
+}
+
+function writeCharacterCache(cache) {
+  localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+}
+
+// find the player id cached under a name, if exactly one player has it
+function findPlayerIdByName(cache, name) {
+  const key = cleanName(name);
+  const matches = Object.keys(cache.players).filter(
+    (id) => cleanName(cache.players[id].name) === key
+  );
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// cached characters (main first) and costume choices (character -> costume) for a player
+export function getCachedPlayer(cache, name, playerId = null) {
+  if (playerId && cache.players[playerId]) {
+    return normalizeCacheEntry(cache.players[playerId]);
+  }
+  const key = cleanName(name);
+  // entries saved before we knew the player's id still apply until they are re-saved
+  if (cache.names[key]) return normalizeCacheEntry(cache.names[key]);
+  // without an id, fall back to the name index (ambiguous names match nothing)
+  const idByName = playerId ? null : findPlayerIdByName(cache, name);
+  return normalizeCacheEntry(idByName ? cache.players[idByName] : null);
+}
+
+// persist each player's characters and costumes, by player id when we have one
+export function saveCharactersToCache(entries) {
+  const cache = readCharacterCache();
+
+  entries.forEach((e) => {
+    const characters = (e.characters || [e.character]).filter(Boolean);
+    if (!e.name || !characters.length) return;
+    const key = cleanName(e.name);
+    // like getCachedPlayer, a player without an id-keyed entry yet was read from the name-keyed one
+    const fromName = e.playerId && !cache.players[e.playerId] ? cache.names[key] : null;
+    const previous = e.playerId ? cache.players[e.playerId] ?? fromName : cache.names[key];
+    // keep costumes remembered for characters not picked this week
+    const costumes = {
+      ...normalizeCacheEntry(previous).costumes,
+      ...e.costumes,
+    };
+    if (e.playerId) {
+      cache.players[e.playerId] = { name: e.name, characters, costumes };
+      // migrate the name-keyed entry this player was read from; any other one belongs to someone else
+      if (fromName) delete cache.names[key];
+    } else {
+      cache.names[key] = { characters, costumes };
+    }
+  });
+  writeCharacterCache(cache);
+}
+
+// flat list of cache entries for the management panel, sorted by name
+export function listCacheEntries() {
+  const cache = readCharacterCache();
+  const entries = [
+    ...Object.entries(cache.players).map(([playerId, value]) => ({
+      key: `player:${playerId}`,
+      playerId,
+      name: value.name,
+      characters: value.characters,
+      costumes: value.costumes,
+    })),
+    ...Object.entries(cache.names).map(([name, value]) => ({
+      key: `name:${name}`,
+      playerId: null,
+      name,
+      characters: value.characters,
+      costumes: value.costumes,
+    })),
+  ];
+  return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// key is the one from listCacheEntries; changes may include name and characters
+export function updateCacheEntry(key, { name, characters }) {
+  const cache = readCharacterCache();
+  const [kind, id] = splitKey(key);
+  if (kind === "player" && cache.players[id]) {
+    if (name !== undefined) cache.players[id].name = name;
+    if (characters !== undefined) cache.players[id].characters = characters;
+  } else if (kind === "name" && cache.names[id]) {
+    const value = cache.names[id];
+    if (characters !== undefined) value.characters = characters;
+    if (name !== undefined && cleanName(name) !== id) {
+      delete cache.names[id];
+      cache.names[cleanName(name)] = value;
+    }
+  }
+  writeCharacterCache(cache);
+}
+
+export function deleteCacheEntry(key) {
+  const cache = readCharacterCache();
+  const [kind, id] = splitKey(key);
+  if (kind === "player") delete cache.players[id];
+  if (kind === "name") delete cache.names[id];
+  writeCharacterCache(cache);
+}
+
+function splitKey(key) {
+  const index = key.indexOf(":");
+  return [key.slice(0, index), key.slice(index + 1)];
+}
+
+export function exportCharacterCache() {
+  return JSON.stringify(readCharacterCache(), null, 2);
+}
+
+// whether a stored value (a character, a list of them or a { characters } entry) only names
+// characters we know
+function isCacheValue(value) {
+  const characters =
+    typeof value === "string" || Array.isArray(value) ? [value].flat() : value?.characters;
+  return Array.isArray(characters) && characters.every((c) => MELEE_CHARACTERS.includes(c));
+}
+
+// an export is a version 2 { players, names } cache or a version 1 name -> characters map
+function isCacheExport(raw) {
+  const isMap = (value) => value && typeof value === "object" && !Array.isArray(value);
+  if (raw.version === CACHE_VERSION) {
+    return (
+      isMap(raw.players) &&
+      isMap(raw.names) &&
+      [...Object.values(raw.players), ...Object.values(raw.names)].every(isCacheValue)
+    );
+  }
+  const values = Object.values(raw);
+  return values.length > 0 && values.every(isCacheValue);
+}
+
+// merge an exported cache into ours; imported entries win. Returns how many entries were imported.
+export function importCharacterCache(json) {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error("Not a valid JSON file.");
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw) || !isCacheExport(raw)) {
+    throw new Error("Not a character cache export: expected player entries listing Melee characters.");
+  }
+  const incoming = normalizeCache(raw);
+  const cache = readCharacterCache();
+  Object.assign(cache.players, incoming.players);
+  Object.assign(cache.names, incoming.names);
+  writeCharacterCache(cache);
+  return Object.keys(incoming.players).length + Object.keys(incoming.names).length;
+}
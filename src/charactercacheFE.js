@@ -0,0 +1,159 @@
+import {
+  listCacheEntries,
+  updateCacheEntry,
+  deleteCacheEntry,
+  exportCharacterCache,
+  importCharacterCache,
+} from "./charactercache.js";
+import { downloadBlob } from "./util.js";
+
+// Encapsulate the character cache management panel: view, edit, delete, export and import entries
+export function createCharacterCacheSection() {
+  // ============================================
+  // CHARACTER CACHE UI CREATION
+  // ============================================
+  const cacheSection = document.createElement("section");
+  cacheSection.id = "character-cache-section";
+  cacheSection.className = "character-cache-section";
+
+  const details = document.createElement("details");
+  cacheSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Character Cache";
+  details.appendChild(summary);
+
+  const toolbar = document.createElement("fieldset");
+  toolbar.role = "group";
+  details.appendChild(toolbar);
+
+  const searchInput = document.createElement("input");
+  searchInput.type = "search";
+  searchInput.placeholder = "Filter by name or player ID";
+  toolbar.appendChild(searchInput);
+
+  const exportBtn = document.createElement("button");
+  exportBtn.type = "button";
+  exportBtn.textContent = "Export JSON";
+  toolbar.appendChild(exportBtn);
+
+  const importBtn = document.createElement("button");
+  importBtn.type = "button";
+  importBtn.className = "secondary";
+  importBtn.textContent = "Import JSON";
+  toolbar.appendChild(importBtn);
+
+  const importInput = document.createElement("input");
+  importInput.type = "file";
+  importInput.accept = "application/json,.json";
+  importInput.style.display = "none";
+  details.appendChild(importInput);
+
+  const cacheStatus = document.createElement("div");
+  cacheStatus.className = "cache-status";
+  details.appendChild(cacheStatus);
+
+  const table = document.createElement("table");
+  table.className = "character-cache-table";
+  table.innerHTML =
+    "<thead><tr><th>Name</th><th>Player ID</th><th>Characters</th><th></th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  table.appendChild(tbody);
+  details.appendChild(table);
+
+  // ============================================
+  // CHARACTER CACHE EVENT LISTENERS
+  // ============================================
+
+  const renderEntries = () => {
+    const filter = searchInput.value.trim().toLowerCase();
+    const entries = listCacheEntries().filter(
+      (e) =>
+        !filter ||
+        e.name.toLowerCase().includes(filter) ||
+        String(e.playerId ?? "").includes(filter)
+    );
+
+    tbody.innerHTML = "";
+    if (!entries.length) {
+      const row = tbody.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 4;
+      cell.textContent = filter ? "No matching players." : "The cache is empty.";
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const row = tbody.insertRow();
+
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.value = entry.name;
+      nameInput.addEventListener("change", () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          nameInput.value = entry.name;
+          return;
+        }
+        updateCacheEntry(entry.key, { name });
+        renderEntries();
+      });
+      row.insertCell().appendChild(nameInput);
+
+      row.insertCell().textContent = entry.playerId ?? "—";
+
+      // characters edit as a comma separated list, main first
+      const charactersInput = document.createElement("input");
+      charactersInput.type = "text";
+      charactersInput.value = entry.characters.join(", ");
+      charactersInput.addEventListener("change", () => {
+        const characters = charactersInput.value
+          .split(",")
+          .map((c) => c.trim())
+          .filter(Boolean);
+        updateCacheEntry(entry.key, { characters });
+      });
+      row.insertCell().appendChild(charactersInput);
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "secondary";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.onclick = () => {
+        deleteCacheEntry(entry.key);
+        cacheStatus.textContent = `Deleted ${entry.name}.`;
+        renderEntries();
+      };
+      row.insertCell().appendChild(deleteBtn);
+    });
+  };
+
+  searchInput.addEventListener("input", renderEntries);
+  details.addEventListener("toggle", () => {
+    if (details.open) renderEntries();
+  });
+
+  exportBtn.addEventListener("click", () => {
+    downloadBlob(
+      new Blob([exportCharacterCache()], { type: "application/json" }),
+      `character-cache-${new Date().toISOString().slice(0, 10)}.json`
+    );
+  });
+
+  importBtn.addEventListener("click", () => importInput.click());
+  importInput.addEventListener("change", async () => {
+    const file = importInput.files?.[0];
+    importInput.value = "";
+    if (!file) return;
+    try {
+      const count = importCharacterCache(await file.text());
+      cacheStatus.textContent = `Imported ${count} entries.`;
+      renderEntries();
+    } catch (err) {
+      console.error(err);
+      cacheStatus.textContent = `Import failed: ${err.message}`;
+    }
+  });
+
+  return cacheSection; // Return the created section
+}
@@ -0,0 +1,126 @@
+import { getRecentEvents } from "./api.js";
+import { formatEventDate } from "./util.js";
+import { readEventSources, saveEventSources, pickLatestEvent } from "./eventsources.js";
+
+// Encapsulate the recent event picker: lists recent events from the saved sources and
+// preselects the latest completed Melee singles event.
+// onPick(slug, { fetch }) fills the event input; fetch is true when the user picked it.
+export function createEventPickerSection({ onPick }) {
+  // ============================================
+  // EVENT PICKER UI CREATION
+  // ============================================
+  const pickerSection = document.createElement("section");
+  pickerSection.id = "event-picker-section";
+  pickerSection.className = "event-picker-section";
+
+  const pickerRow = document.createElement("fieldset");
+  pickerRow.role = "group";
+  pickerSection.appendChild(pickerRow);
+
+  const eventSelect = document.createElement("select");
+  eventSelect.id = "recent-event-select";
+  eventSelect.title = "Recent events";
+  pickerRow.appendChild(eventSelect);
+
+  const reloadBtn = document.createElement("button");
+  reloadBtn.type = "button";
+  reloadBtn.className = "secondary";
+  reloadBtn.textContent = "Refresh";
+  pickerRow.appendChild(reloadBtn);
+
+  const pickerStatus = document.createElement("div");
+  pickerStatus.className = "cache-status";
+  pickerSection.appendChild(pickerStatus);
+
+  const details = document.createElement("details");
+  pickerSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Event sources";
+  details.appendChild(summary);
+
+  const sourcesRow = document.createElement("fieldset");
+  sourcesRow.role = "group";
+  details.appendChild(sourcesRow);
+
+  const sourcesInput = document.createElement("input");
+  sourcesInput.type = "text";
+  sourcesInput.placeholder = "abbey, league/..., user/...";
+  sourcesInput.title =
+    "Comma separated: a series slug or URL (start.gg/abbey), league/<slug> or user/<slug> for an organizer";
+  sourcesRow.appendChild(sourcesInput);
+
+  const saveSourcesBtn = document.createElement("button");
+  saveSourcesBtn.type = "button";
+  saveSourcesBtn.textContent = "Save";
+  sourcesRow.appendChild(saveSourcesBtn);
+
+  // ============================================
+  // EVENT PICKER EVENT LISTENERS
+  // ============================================
+
+  const setPlaceholder = (text) => {
+    eventSelect.innerHTML = "";
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = text;
+    eventSelect.appendChild(opt);
+  };
+
+  const loadEvents = async () => {
+    reloadBtn.disabled = true;
+    reloadBtn.ariaBusy = "true";
+    setPlaceholder("Loading recent events...");
+    pickerStatus.textContent = "";
+    try {
+      const { events: allEvents, failed } = await getRecentEvents(readEventSources());
+      // the sources that did load are still listed; say which ones are missing
+      failed.forEach(({ source, error }) => console.warn(`Could not load events from ${source}:`, error));
+      pickerStatus.textContent = failed
+        .map(({ source, error }) => `Could not load ${source} (${error.message})`)
+        .join("; ");
+      const events = allEvents.filter((e) => String(e.videogameId ?? 1) === "1");
+      if (!events.length) {
+        setPlaceholder("No recent events found, check the event sources.");
+        return;
+      }
+      setPlaceholder("Pick a recent event");
+      events.forEach((e) => {
+        const opt = document.createElement("option");
+        opt.value = e.slug;
+        const date = formatEventDate(e.startAt);
+        const live = e.state === "COMPLETED" ? "" : " (in progress)";
+        opt.textContent = `${e.tournamentName} – ${e.eventName}${date ? `, ${date}` : ""}${live}`;
+        eventSelect.appendChild(opt);
+      });
+
+      const latest = pickLatestEvent(events);
+      if (latest) {
+        eventSelect.value = latest.slug;
+        onPick(latest.slug, { fetch: false });
+      }
+    } catch (err) {
+      console.error(err);
+      setPlaceholder(`Could not load recent events: ${err.message}`);
+    } finally {
+      reloadBtn.disabled = false;
+      reloadBtn.ariaBusy = "false";
+    }
+  };
+
+  eventSelect.addEventListener("change", () => {
+    if (eventSelect.value) onPick(eventSelect.value, { fetch: true });
+  });
+
+  reloadBtn.addEventListener("click", loadEvents);
+
+  saveSourcesBtn.addEventListener("click", () => {
+    sourcesInput.value = saveEventSources(sourcesInput.value.split(",")).join(", ");
+    loadEvents();
+  });
+
+  sourcesInput.value = readEventSources().join(", ");
+  loadEvents();
+
+  return pickerSection; // Return the created section
+}
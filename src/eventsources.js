@@ -0,0 +1,43 @@
+import { isMeleeSinglesEvent } from "./util.js";
+
+// Where to look for recent events: "user/<slug>" (owner), "league/<slug>" or a
+// series slug as in start.gg/abbey, looked up as a league or a tournament's owner.
+const EVENT_SOURCES_KEY = "event-sources";
+export const DEFAULT_EVENT_SOURCES = ["abbey"];
+
+export function readEventSources() {
+  try {
+    const sources = JSON.parse(localStorage.getItem(EVENT_SOURCES_KEY) || "null");
+    return Array.isArray(sources) && sources.length ? sources : DEFAULT_EVENT_SOURCES;
+  } catch (e) {
+    console.warn("Invalid event sources, ignoring.", e);
+    return DEFAULT_EVENT_SOURCES;
+  }
+}
+
+// accepts "start.gg/abbey", "start.gg/league/abbey", "user/1a2b3c4d" or a bare series slug;
+// empty resets to the default
+export function saveEventSources(sources) {
+  const cleaned = sources
+    .map((s) =>
+      s
+        .trim()
+        .replace(/^https?:\/\//, "")
+        .replace(/^(www\.)?start\.gg\//, "")
+        .replace(/\/+$/, "")
+    )
+    .filter(Boolean);
+  if (cleaned.length) {
+    localStorage.setItem(EVENT_SOURCES_KEY, JSON.stringify(cleaned));
+  } else {
+    localStorage.removeItem(EVENT_SOURCES_KEY);
+  }
+  return readEventSources();
+}
+
+// the most recently completed Melee singles event (events are newest first), or null
+export function pickLatestEvent(events) {
+  const singles = (e) =>
+    isMeleeSinglesEvent({ name: e.eventName, videogame: { id: e.videogameId ?? 1 } });
+  return events.find((e) => e.state === "COMPLETED" && singles(e)) ?? null;
+}
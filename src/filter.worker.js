@@ -0,0 +1,18 @@
+import { applyFilterPipeline } from "./pixelfilters.js";
+
+// Runs the pixel pipeline off the main thread.
+// Receives { buffer, width, height, settings } and answers with
+// { type: "progress", progress } messages, then { type: "done", buffer }
+// (the pixel buffer is transferred both ways) or { type: "error", message }.
+self.onmessage = (e) => {
+  const { buffer, width, height, settings } = e.data;
+  try {
+    const imageData = { data: new Uint8ClampedArray(buffer), width, height };
+    applyFilterPipeline(imageData, settings, (progress) => {
+      self.postMessage({ type: "progress", progress });
+    });
+    self.postMessage({ type: "done", buffer }, [buffer]);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,50 @@
+// Named hue/saturation/lightness settings for the image filter
+const CUSTOM_PRESETS_KEY = "filter-presets";
+
+export const DEFAULT_PRESET_ID = "tavern-sepia";
+
+export const BUILT_IN_PRESETS = {
+  "tavern-sepia": { name: "Tavern sepia", hue: 24, saturation: 26, lightness: 0 },
+};
+
+export function readCustomPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY) || "{}");
+  } catch (e) {
+    console.warn("Invalid filter presets, ignoring.", e);
+    return {};
+  }
+}
+
+// built-in presets first, then custom ones (ids prefixed with "custom:")
+export function getPresets() {
+  const presets = { ...BUILT_IN_PRESETS };
+  Object.entries(readCustomPresets()).forEach(([id, preset]) => {
+    presets[`custom:${id}`] = preset;
+  });
+  return presets;
+}
+
+export function getPreset(id) {
+  return getPresets()[id] || BUILT_IN_PRESETS[DEFAULT_PRESET_ID];
+}
+
+export function isCustomPreset(id) {
+  return id.startsWith("custom:");
+}
+
+// returns the id the preset was stored under
+export function saveCustomPreset(name, { hue, saturation, lightness }) {
+  const key = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  if (!key) throw new Error("Preset name is required.");
+  const presets = readCustomPresets();
+  presets[key] = { name: name.trim(), hue, saturation, lightness };
+  localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(presets));
+  return `custom:${key}`;
+}
+
+export function deleteCustomPreset(id) {
+  const presets = readCustomPresets();
+  delete presets[id.replace(/^custom:/, "")];
+  localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(presets));
+}
@@ -0,0 +1,58 @@
+// Offline fixture mode for the start.gg client.
+// "replay" answers queries from the JSON files in fixtures/startgg/ instead of calling
+// start.gg (no API key or network needed); "record" calls start.gg as usual and keeps
+// every response so it can be downloaded as a new fixture file.
+// Pick a mode with VITE_STARTGG_FIXTURES=replay|record or ?fixtures=replay|record.
+const FIXTURE_MODES = ["replay", "record"];
+
+// loaded lazily so fixture data only ships in its own chunk
+const fixtureFiles = import.meta.glob("../fixtures/startgg/*.json", { import: "default" });
+
+let fixtureRequests = null;
+const recordedRequests = [];
+
+export function getFixtureMode() {
+  const param =
+    typeof location !== "undefined"
+      ? new URLSearchParams(location.search).get("fixtures")
+      : null;
+  const mode = param ?? import.meta.env.VITE_STARTGG_FIXTURES;
+  return FIXTURE_MODES.includes(mode) ? mode : null;
+}
+
+async function loadFixtureRequests() {
+  if (!fixtureRequests) {
+    const files = await Promise.all(Object.values(fixtureFiles).map((load) => load()));
+    fixtureRequests = files.flatMap((file) => file.requests ?? []);
+  }
+  return fixtureRequests;
+}
+
+const sameVariables = (a = {}, b = {}) =>
+  JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort());
+
+// The recorded data for a query, or null when no fixture matches.
+// Exact variables win; otherwise any recording of the same operation for the same
+// slug and page is used, so e.g. a Top 16 fetch can replay a Top 8 recording.
+export async function replayFixture(operation, variables = {}) {
+  const candidates = (await loadFixtureRequests()).filter((r) => r.operation === operation);
+  const match =
+    candidates.find((r) => sameVariables(r.variables, variables)) ??
+    candidates.find(
+      (r) => r.variables?.slug === variables.slug && (r.variables?.page ?? 1) === (variables.page ?? 1)
+    );
+  return match ? structuredClone(match.data) : null;
+}
+
+export function recordFixture(operation, variables, data) {
+  recordedRequests.push({ operation, variables, data });
+}
+
+export function recordedFixtureCount() {
+  return recordedRequests.length;
+}
+
+// JSON for a fixtures/startgg/*.json file
+export function exportRecordedFixtures() {
+  return JSON.stringify({ requests: recordedRequests }, null, 2);
+}
@@ -1,19 +1,75 @@
-import { loadCharacterIcon } from "./icon.js";
+import { loadCharacterIcon, loadImage } from "./icon.js";
+import { formatPlacement, tiedPlacements } from "./util.js";
+import { BUILT_IN_THEMES, DEFAULT_THEME_ID, normalizeTheme, resolveHeaderText } from "./themes.js";
+
+// browser canvas; generateGraphic takes a different factory (e.g. @napi-rs/canvas) under Node
+function createBrowserCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// fill the whole canvas according to the theme background (transparent, color, gradient or image)
+async function drawBackground(ctx, background, width, height, load) {
+  ctx.clearRect(0, 0, width, height);
+  if (background.type === "color") {
+    ctx.fillStyle = background.color;
+    ctx.fillRect(0, 0, width, height);
+  } else if (background.type === "gradient") {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, background.color);
+    gradient.addColorStop(1, background.color2 || background.color);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  } else if (background.type === "image" && background.image) {
+    const img = await load(background.image);
+    if (!img) return;
+    // cover: scale to fill, crop the overflow
+    const scale = Math.max(width / img.width, height / img.height);
+    const w = img.width * scale;
+    const h = img.height * scale;
+    ctx.drawImage(img, (width - w) / 2, (height - h) / 2, w, h);
+  }
+}
 
 // Generate graphic from the editable rows
 // refactor: single function that draws given entries (preloads icons)
+// options.theme comes from themes.js; lists longer than 8 wrap into columns
+// options.card ({ title, date, attendees, sets, logo, watermark }) switches to the event card layout:
+// tournament name and date above the standings, attendance and logo/watermark below
+// options.sponsors is "hide", "show" or "light" (sponsor prefix drawn in a lighter tone)
+// an entry's optional marker (e.g. "▲3" seed performance) is drawn lighter after the name
+// options.createCanvas(width, height), options.loadImage(url) (resolving to an image or null)
+// and options.pixelRatio replace the browser's canvas, Image and devicePixelRatio, so the
+// same renderer runs under Node (see scripts/render-graphic.mjs)
 export async function generateGraphic(
-  entries
+  entries,
+  {
+    theme: rawTheme = BUILT_IN_THEMES[DEFAULT_THEME_ID],
+    headerText = resolveHeaderText(rawTheme, 8),
+    card = null,
+    sponsors = "hide",
+    createCanvas = createBrowserCanvas,
+    loadImage: load = loadImage,
+    pixelRatio = globalThis.devicePixelRatio || 1,
+  } = {}
 ) {
+  const theme = normalizeTheme(rawTheme);
+
   // ensure entries is an array
   if (!Array.isArray(entries) || !entries.length) {
     throw new Error("No entries to generate from.");
   }
 
-  // preload icons for each entry (attach as entry.icon)
+  // preload icons for each entry, main character first (attach as entry.icons)
   await Promise.all(
     entries.map(async (e) => {
-      e.icon = await loadCharacterIcon(e.character);
+      const characters = e.characters?.length ? e.characters : [e.character];
+      const icons = await Promise.all(
+        characters.map((c) => loadCharacterIcon(c, e.costumes?.[c], load))
+      );
+      e.icons = icons.filter(Boolean);
     })
   );
 
@@ -21,57 +77,158 @@ export async function generateGraphic(
   const leftPadding = 4;
   const rightPadding = 4;
   const iconLeftPadding = 24;
-  const iconSize = 60;
-  const rowH = 70; 
-  const textFont = `700 44px Roboto Slab, serif`; // name & placement font (44px)
-  const headerFont = `700 72px Roboto Slab, serif`; // "Top 8" font (72px)
+  const iconSize = theme.iconSize;
+  const iconGap = 8; // space between icons in a row's strip
+  const rowH = Math.max(theme.rowHeight, iconSize);
+  const textFont = `${theme.fontWeight} ${theme.textSize}px ${theme.fontFamily}`; // name & placement font
+  const headerFont = `${theme.fontWeight} ${theme.headerSize}px ${theme.fontFamily}`; // "Top 8" font
   const headerBottomPadding = 24;
+  // margin between background edge and content; cards always get some breathing room
+  const outerPadding = card ? Math.max(theme.padding, 32) : theme.padding;
+  const maxRowsPerColumn = 8;
+  const columnGap = 48;
+
+  // shared placements render as ties ("T5.") so they don't look like duplicate rows
+  const ties = tiedPlacements(entries.map((e) => String(e.place)));
+  // row text as segments so a sponsor prefix can be drawn lighter than the name
+  const rowSegments = (e) => {
+    const place = `${formatPlacement(e.place, ties.has(String(e.place)))} `;
+    const marker = e.marker ? [{ text: ` ${e.marker}`, light: true }] : [];
+    if (sponsors === "hide" || !e.sponsor) return [{ text: `${place}${e.name}` }, ...marker];
+    return [
+      { text: place },
+      { text: `${e.sponsor} | `, light: sponsors === "light" },
+      { text: e.name },
+      ...marker,
+    ];
+  };
+  const measureSegments = (context, segments) =>
+    segments.reduce((w, seg) => w + context.measureText(seg.text).width, 0);
+
+  // balance rows across as few columns as needed (e.g. Top 16 -> 2 x 8, Top 12 -> 2 x 6)
+  const columnCount = Math.ceil(entries.length / maxRowsPerColumn);
+  const rowsPerColumn = Math.ceil(entries.length / columnCount);
 
   // measurement context (unscaled)
-  const measureCtx = document.createElement("canvas").getContext("2d");
+  const measureCtx = createCanvas(1, 1).getContext("2d");
   measureCtx.font = textFont;
 
   // measure widest placement+name
   let maxRowTextWidth = 0;
   entries.forEach((e) => {
-    const label = `${e.place}. ${e.name}`;
-    const w = measureCtx.measureText(label).width;
+    const w = measureSegments(measureCtx, rowSegments(e));
     if (w > maxRowTextWidth) maxRowTextWidth = w;
   });
 
+  // widest icon strip across all rows
+  const maxIconCount = Math.max(1, ...entries.map((e) => e.icons.length));
+  const iconStripWidth = maxIconCount * iconSize + (maxIconCount - 1) * iconGap;
+
   // measure header
   measureCtx.font = headerFont;
-  const headerText = "Top 8";
   const headerWidth = measureCtx.measureText(headerText).width;
-  const headerHeight = 72; // approximate; matches font size
+  const headerHeight = theme.headerSize; // approximate; matches font size
+
+  // event card text: title + date on top, stats line + logo in the footer
+  const cardTitleSize = Math.round(theme.textSize * 0.8);
+  const cardDetailSize = Math.round(theme.textSize * 0.55);
+  const cardTitleFont = `${theme.fontWeight} ${cardTitleSize}px ${theme.fontFamily}`;
+  const cardDetailFont = `400 ${cardDetailSize}px ${theme.fontFamily}`;
+  const cardLogoHeight = 56;
+  const cardGap = 16;
+  let cardTopHeight = 0;
+  let cardFooterHeight = 0;
+  let cardWidth = 0;
+  let cardStats = "";
+  let cardLogo = null;
+  if (card) {
+    cardStats = [
+      card.attendees != null ? `${card.attendees} entrants` : "",
+      card.sets != null ? `${card.sets} sets` : "",
+    ]
+      .filter(Boolean)
+      .join(" • ");
+    cardLogo = card.logo ? await load(card.logo) : null;
+    const logoWidth = cardLogo
+      ? (cardLogo.width / cardLogo.height) * cardLogoHeight
+      : 0;
+
+    measureCtx.font = cardTitleFont;
+    const titleWidth = card.title ? measureCtx.measureText(card.title).width : 0;
+    measureCtx.font = cardDetailFont;
+    const dateWidth = card.date ? measureCtx.measureText(card.date).width : 0;
+    const footerTextWidth =
+      measureCtx.measureText(cardStats).width +
+      (cardLogo ? 0 : measureCtx.measureText(card.watermark || "").width);
+    cardWidth = Math.max(titleWidth, dateWidth, footerTextWidth + logoWidth + cardGap * 2);
+
+    if (card.title) cardTopHeight += cardTitleSize + cardGap / 2;
+    if (card.date) cardTopHeight += cardDetailSize + cardGap / 2;
+    if (cardTopHeight) cardTopHeight += cardGap;
+    cardFooterHeight = cardGap + (cardLogo ? cardLogoHeight : cardDetailSize);
+  }
 
   // compute inner content width and final needed width
+  const columnWidth = Math.ceil(
+    leftPadding + maxRowTextWidth + iconLeftPadding + iconStripWidth + rightPadding
+  );
   const neededWidthForRows =
-    leftPadding + maxRowTextWidth + iconLeftPadding + iconSize + rightPadding;
+    columnCount * columnWidth + (columnCount - 1) * columnGap;
   const innerWidth = Math.ceil(
-    Math.max(neededWidthForRows, leftPadding + headerWidth + rightPadding, 200)
+    Math.max(
+      neededWidthForRows,
+      leftPadding + headerWidth + rightPadding,
+      cardWidth,
+      200
+    )
   ); // min width 200
-  const neededWidth = innerWidth;
+  const neededWidth = innerWidth + outerPadding * 2;
 
   // compute final height
-  const height = headerHeight + headerBottomPadding + entries.length * rowH;
+  const height =
+    cardTopHeight +
+    headerHeight +
+    headerBottomPadding +
+    rowsPerColumn * rowH +
+    cardFooterHeight +
+    outerPadding * 2;
 
   // device pixel ratio handling
-  const dpr = window.devicePixelRatio || 1;
-  const canvas = document.createElement("canvas");
-  canvas.width = neededWidth * dpr;
-  canvas.height = height * dpr;
-  canvas.style.width = neededWidth + "px";
-  canvas.style.height = height + "px";
+  const dpr = pixelRatio;
+  const canvas = createCanvas(neededWidth * dpr, height * dpr);
+  // headless canvases have no style to size on screen
+  if (canvas.style) {
+    canvas.style.width = neededWidth + "px";
+    canvas.style.height = height + "px";
+    canvas.style.background = "transparent";
+  }
   const ctx = canvas.getContext("2d");
   ctx.scale(dpr, dpr);
 
-  // transparent background
-  canvas.style.background = "transparent";
-  ctx.clearRect(0, 0, neededWidth, height);
+  // background, then shift everything else inside the padding
+  await drawBackground(ctx, theme.background, neededWidth, height, load);
+  ctx.translate(outerPadding, outerPadding);
+
+  // draw card title and date, then move the standings below them
+  if (card) {
+    ctx.fillStyle = theme.textColor;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    let cardY = 0;
+    if (card.title) {
+      ctx.font = cardTitleFont;
+      ctx.fillText(card.title, innerWidth / 2, cardY);
+      cardY += cardTitleSize + cardGap / 2;
+    }
+    if (card.date) {
+      ctx.font = cardDetailFont;
+      ctx.fillText(card.date, innerWidth / 2, cardY);
+    }
+    ctx.translate(0, cardTopHeight);
+  }
 
   // draw header
-  ctx.fillStyle = "#523d30";
+  ctx.fillStyle = theme.textColor;
   ctx.font = headerFont;
   ctx.textAlign = "left";
   ctx.textBaseline = "middle";
@@ -85,29 +242,67 @@ export async function generateGraphic(
   // draw rows
   ctx.font = textFont;
   ctx.textBaseline = "middle";
+  // center the columns block when the header is wider than the rows
+  const columnsLeft = Math.floor((innerWidth - neededWidthForRows) / 2);
   entries.forEach((e, i) => {
-    const y = headerHeight + headerBottomPadding + i * rowH;
-    const label = `${e.place}. ${e.name}`;
-
+    const column = Math.floor(i / rowsPerColumn);
+    const x = columnsLeft + column * (columnWidth + columnGap);
+    const y = headerHeight + headerBottomPadding + (i % rowsPerColumn) * rowH;
     // text
-    ctx.fillStyle = "#523d30";
+    ctx.fillStyle = theme.textColor;
     ctx.textAlign = "left";
-    ctx.fillText(label, leftPadding, y + rowH / 2);
+    let textX = x + leftPadding;
+    rowSegments(e).forEach((seg) => {
+      ctx.globalAlpha = seg.light ? 0.55 : 1;
+      ctx.fillText(seg.text, textX, y + rowH / 2);
+      textX += ctx.measureText(seg.text).width;
+    });
+    ctx.globalAlpha = 1;
 
-    // measure to place icon immediately after text
-    const textWidth = ctx.measureText(label).width;
+    // place icon strip immediately after text
+    const textWidth = textX - (x + leftPadding);
+    const stripWidth =
+      e.icons.length * iconSize + Math.max(0, e.icons.length - 1) * iconGap;
     let iconX = Math.round(
-      leftPadding + textWidth + iconLeftPadding
+      x + leftPadding + textWidth + iconLeftPadding
     );
-    // ensure icon doesn't overflow inner content area
-    const innerRight = innerWidth - rightPadding;
-    if (iconX + iconSize > innerRight) {
-      iconX = innerRight - iconSize;
+    // ensure strip doesn't overflow its column
+    const innerRight = x + columnWidth - rightPadding;
+    if (iconX + stripWidth > innerRight) {
+      iconX = innerRight - stripWidth;
     }
     const iconY = y + (rowH - iconSize) / 2;
 
-    ctx.drawImage(e.icon, iconX, iconY, iconSize, iconSize);
+    e.icons.forEach((icon, j) => {
+      ctx.drawImage(icon, iconX + j * (iconSize + iconGap), iconY, iconSize, iconSize);
+    });
   });
 
+  // draw card footer: stats on the left, logo (or watermark text) on the right
+  if (card) {
+    const footerTop = headerHeight + headerBottomPadding + rowsPerColumn * rowH + cardGap;
+    const footerMiddle = footerTop + (cardFooterHeight - cardGap) / 2;
+    ctx.fillStyle = theme.textColor;
+    ctx.font = cardDetailFont;
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    ctx.fillText(cardStats, leftPadding, footerMiddle);
+    if (cardLogo) {
+      const logoWidth = (cardLogo.width / cardLogo.height) * cardLogoHeight;
+      ctx.drawImage(
+        cardLogo,
+        innerWidth - rightPadding - logoWidth,
+        footerTop,
+        logoWidth,
+        cardLogoHeight
+      );
+    } else if (card.watermark) {
+      ctx.globalAlpha = 0.6;
+      ctx.textAlign = "right";
+      ctx.fillText(card.watermark, innerWidth - rightPadding, footerMiddle);
+      ctx.globalAlpha = 1;
+    }
+  }
+
   return canvas;
 }
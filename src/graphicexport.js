@@ -0,0 +1,83 @@
+import { generateGraphic } from "./generategraphic.js";
+import { createSvgCanvas } from "./svgcanvas.js";
+import { extractSlug } from "./util.js";
+
+// Export settings for the Top 8 graphic: a fixed scale (independent of the screen's
+// devicePixelRatio), the file format, and the background used by formats without alpha.
+const EXPORT_SETTINGS_KEY = "graphic-export-settings";
+
+export const EXPORT_SCALES = [1, 2, 4];
+
+// opaque formats are flattened onto the background color
+export const EXPORT_FORMATS = {
+  png: { label: "PNG", type: "image/png", extension: "png" },
+  webp: { label: "WebP", type: "image/webp", extension: "webp" },
+  jpeg: { label: "JPEG", type: "image/jpeg", extension: "jpg", opaque: true },
+  svg: { label: "SVG (vector)", type: "image/svg+xml", extension: "svg" },
+};
+
+export const DEFAULT_EXPORT_SETTINGS = { scale: 2, format: "png", background: "#ffffff" };
+
+export function readExportSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(EXPORT_SETTINGS_KEY) || "{}");
+    return {
+      scale: EXPORT_SCALES.includes(saved.scale) ? saved.scale : DEFAULT_EXPORT_SETTINGS.scale,
+      format: EXPORT_FORMATS[saved.format] ? saved.format : DEFAULT_EXPORT_SETTINGS.format,
+      background: /^#[0-9a-f]{6}$/i.test(saved.background)
+        ? saved.background
+        : DEFAULT_EXPORT_SETTINGS.background,
+    };
+  } catch (e) {
+    console.warn("Invalid export settings, ignoring.", e);
+    return { ...DEFAULT_EXPORT_SETTINGS };
+  }
+}
+
+export function saveExportSettings(settings) {
+  localStorage.setItem(EXPORT_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// e.g. "abbey-tavern-weekly-42-melee-singles-top8.png"; "top8.png" without an event
+export function exportFileName(eventUrl, size, format) {
+  const slug = eventUrl ? extractSlug(eventUrl) : "";
+  const [, tournament, event] = slug.match(/tournament\/([^/]+)\/event\/([^/]+)/) ?? [];
+  const base = tournament ? `${tournament}-${event}-` : "";
+  return `${base}top${size}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// encode a rendered canvas; JPEG gets the background color behind the transparent areas
+export function canvasToBlob(canvas, format, background = DEFAULT_EXPORT_SETTINGS.background) {
+  const { type, opaque } = EXPORT_FORMATS[format];
+  let source = canvas;
+  if (opaque) {
+    source = document.createElement("canvas");
+    source.width = canvas.width;
+    source.height = canvas.height;
+    const ctx = source.getContext("2d");
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, source.width, source.height);
+    ctx.drawImage(canvas, 0, 0);
+  }
+  return new Promise((resolve, reject) => {
+    source.toBlob(
+      // browsers that can't encode a format quietly hand back a PNG instead
+      (blob) =>
+        blob?.type === type
+          ? resolve(blob)
+          : reject(new Error(`This browser can't export ${EXPORT_FORMATS[format].label}.`)),
+      type,
+      0.92
+    );
+  });
+}
+
+// draw the same layout as vector SVG; options are generateGraphic's
+export async function renderSvgBlob(entries, options) {
+  const canvas = await generateGraphic(entries, {
+    ...options,
+    createCanvas: createSvgCanvas,
+    pixelRatio: 1,
+  });
+  return new Blob([canvas.toSVG()], { type: EXPORT_FORMATS.svg.type });
+}
@@ -1,3 +1,94 @@
+export const DEFAULT_COSTUME = "Default";
+
+// every character with a stock icon, in character select screen order
+export const MELEE_CHARACTERS = [
+  "Fox",
+  "Falco",
+  "Marth",
+  "Sheik",
+  "Peach",
+  "Jigglypuff",
+  "Captain Falcon",
+  "Donkey Kong",
+  "Ice Climbers",
+  "Luigi",
+  "Yoshi",
+  "Mario",
+  "Samus",
+  "Ganondorf",
+  "Young Link",
+  "Link",
+  "Bowser",
+  "Pikachu",
+  "Roy",
+  "Mr. Game & Watch",
+  "Ness",
+  "Mewtwo",
+  "Pichu",
+  "Dr. Mario",
+  "Kirby",
+  "Zelda",
+];
+
+// costume colors per character, in character select screen order
+const MELEE_COSTUMES = {
+  Fox: [DEFAULT_COSTUME, "Red", "Blue", "Green"],
+  Falco: [DEFAULT_COSTUME, "Red", "Blue", "Green"],
+  Marth: [DEFAULT_COSTUME, "Red", "Green", "Black", "White"],
+  Sheik: [DEFAULT_COSTUME, "Red", "Blue", "Green", "White"],
+  Peach: [DEFAULT_COSTUME, "Yellow", "White", "Blue", "Green"],
+  Jigglypuff: [DEFAULT_COSTUME, "Red", "Blue", "Green", "Yellow"],
+  "Captain Falcon": [DEFAULT_COSTUME, "Black", "Red", "White", "Green", "Blue"],
+  "Donkey Kong": [DEFAULT_COSTUME, "Black", "Red", "Blue", "Green"],
+  "Ice Climbers": [DEFAULT_COSTUME, "Green", "Orange", "Red"],
+  Luigi: [DEFAULT_COSTUME, "White", "Blue", "Red"],
+  Yoshi: [DEFAULT_COSTUME, "Red", "Blue", "Yellow", "Pink", "Cyan"],
+  Mario: [DEFAULT_COSTUME, "Yellow", "Black", "Blue", "Green"],
+  Samus: [DEFAULT_COSTUME, "Pink", "Black", "Green", "Purple"],
+  Ganondorf: [DEFAULT_COSTUME, "Red", "Blue", "Green", "Purple"],
+  "Young Link": [DEFAULT_COSTUME, "Red", "Blue", "White", "Black"],
+  Link: [DEFAULT_COSTUME, "Red", "Blue", "Black", "White"],
+  Bowser: [DEFAULT_COSTUME, "Red", "Blue", "Black"],
+  Pikachu: [DEFAULT_COSTUME, "Red", "Blue", "Green"],
+  Roy: [DEFAULT_COSTUME, "Red", "Blue", "Green", "Yellow"],
+  "Mr. Game & Watch": [DEFAULT_COSTUME, "Red", "Blue", "Green"],
+  Ness: [DEFAULT_COSTUME, "Yellow", "Blue", "Green"],
+  Mewtwo: [DEFAULT_COSTUME, "Red", "Blue", "Green"],
+  Pichu: [DEFAULT_COSTUME, "Red", "Blue", "Green"],
+  "Dr. Mario": [DEFAULT_COSTUME, "Red", "Blue", "Green", "Black"],
+  Kirby: [DEFAULT_COSTUME, "Yellow", "Blue", "Red", "Green", "White"],
+  Zelda: [DEFAULT_COSTUME, "Red", "Blue", "Green", "White"],
+};
+
+// file names of the variant icons shipped in assets/stockicons/costumes, e.g. "FalcoBlueHeadSSBM.png"
+const COSTUME_ICON_FILES = new Set(
+  Object.keys(
+    import.meta.glob("../assets/stockicons/costumes/*HeadSSBM.png", {
+      eager: true,
+      query: "?url",
+      import: "default",
+    })
+  ).map((path) => path.split("/").pop())
+);
+
+const costumeIconFile = (character, costume) =>
+  `${cleanedIconBase(character)}${cleanedIconBase(costume)}HeadSSBM.png`;
+
+// only the costumes that have an icon file are offered
+export const CHARACTER_COSTUMES = Object.fromEntries(
+  Object.entries(MELEE_COSTUMES).map(([character, costumes]) => [
+    character,
+    costumes.filter(
+      (costume) =>
+        costume === DEFAULT_COSTUME || COSTUME_ICON_FILES.has(costumeIconFile(character, costume))
+    ),
+  ])
+);
+
+export function getCostumes(character) {
+  return CHARACTER_COSTUMES[character] || [DEFAULT_COSTUME];
+}
+
 // helper to map character -> asset filename and preload icon
 export function cleanedIconBase(name) {
   if (!name) return null;
@@ -5,15 +96,8 @@ export function cleanedIconBase(name) {
   return name.replace(/\./g, "").replace(/\s+/g, "");
 }
 
-export function loadCharacterIcon(character) {
+export function loadImage(url) {
   return new Promise((resolve) => {
-    if (!character) return resolve(null);
-    const base = cleanedIconBase(character);
-    if (!base) return resolve(null);
-    const filename = `${base}HeadSSBM.png`;
-    // resolve relative to this module so Vite will handle the asset path
-    const url = new URL(`../assets/stockicons/${filename}`, import.meta.url)
-      .href;
     const img = new Image();
     img.crossOrigin = "anonymous";
     img.onload = () => resolve(img);
@@ -21,3 +105,26 @@ export function loadCharacterIcon(character) {
     img.src = url;
   });
 }
+
+// load is the image loader to use (generateGraphic passes its own under Node)
+export async function loadCharacterIcon(character, costume = DEFAULT_COSTUME, load = loadImage) {
+  if (!character) return null;
+  const base = cleanedIconBase(character);
+  if (!base) return null;
+
+  // variant icons live in costumes/ as e.g. "FalcoBlueHeadSSBM.png"; fall back to the default costume when missing
+  if (costume && costume !== DEFAULT_COSTUME) {
+    const variantUrl = new URL(
+      `../assets/stockicons/costumes/${costumeIconFile(character, costume)}`,
+      import.meta.url
+    ).href;
+    const variant = await load(variantUrl);
+    if (variant) return variant;
+  }
+
+  const filename = `${base}HeadSSBM.png`;
+  // resolve relative to this module so Vite will handle the asset path
+  const url = new URL(`../assets/stockicons/${filename}`, import.meta.url)
+    .href;
+  return load(url);
+}
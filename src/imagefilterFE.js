@@ -1,4 +1,57 @@
-import { applyHslFilter, getBlobUrl, revokeBlobUrl } from "./filter.js";
+import {
+  applyHslFilter,
+  createDownscaledCopy,
+  getBlobUrl,
+  revokeBlobUrl,
+  BG_REMOVAL_BACKENDS,
+} from "./filter.js";
+import { zipSync } from "fflate";
+import { downloadBlob } from "./util.js";
+import {
+  DEFAULT_PRESET_ID,
+  getPresets,
+  getPreset,
+  isCustomPreset,
+  saveCustomPreset,
+  deleteCustomPreset,
+} from "./filterpresets.js";
+
+const SELECTED_PRESET_KEY = "selected-filter-preset";
+
+// "player photo.jpg" -> "player-photo-filtered.png", numbered when names repeat
+function filteredFileName(sourceName, index, usedNames) {
+  const base =
+    (sourceName || "")
+      .replace(/\.[^.]+$/, "")
+      .trim()
+      .replace(/[^a-z0-9_-]+/gi, "-")
+      .replace(/^-+|-+$/g, "") || `image-${index + 1}`;
+  let name = `${base}-filtered.png`;
+  for (let n = 2; usedNames.has(name); n++) {
+    name = `${base}-${n}-filtered.png`;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+// labelled range slider showing its current value
+function createRange(parent, labelText, min, max, value) {
+  const label = document.createElement("label");
+  const text = document.createElement("span");
+  const input = document.createElement("input");
+  input.type = "range";
+  input.min = String(min);
+  input.max = String(max);
+  input.value = String(value);
+  const update = () => (text.textContent = `${labelText}: ${input.value}`);
+  input.addEventListener("input", update);
+  input.updateLabel = update;
+  update();
+  label.appendChild(text);
+  label.appendChild(input);
+  parent.appendChild(label);
+  return input;
+}
 
 // Encapsulate the entire HSL filter section creation and logic
 export function createHslFilterSection() {
@@ -21,7 +74,7 @@ export function createHslFilterSection() {
   // Paste Box (replaces file input)
   const pasteBox = document.createElement("div");
   pasteBox.id = "hsl-paste-box";
-  pasteBox.textContent = "Click to Paste Image or Ctrl+V";
+  pasteBox.textContent = "Click to Paste Images, Ctrl+V or Drop Files";
   pasteBox.className = "hsl-paste-box";
   // Basic styling for the paste box
   pasteBox.style.border = "2px dashed #ccc";
@@ -38,6 +91,77 @@ export function createHslFilterSection() {
   pasteBox.style.color = "#666";
   hslFieldset.appendChild(pasteBox);
 
+  // File picker for adding several images at once
+  const fileInput = document.createElement("input");
+  fileInput.id = "hsl-image-input";
+  fileInput.type = "file";
+  fileInput.accept = "image/*";
+  fileInput.multiple = true;
+  hslFieldset.appendChild(fileInput);
+
+  // Queue of images waiting to be filtered; click a thumbnail to preview it
+  const hslQueue = document.createElement("div");
+  hslQueue.id = "hsl-queue";
+  hslQueue.className = "hsl-image-grid";
+  hslFieldset.appendChild(hslQueue);
+
+  // Before/after toggle for the live preview
+  const compareBtn = document.createElement("button");
+  compareBtn.type = "button";
+  compareBtn.id = "hsl-compare-btn";
+  compareBtn.className = "secondary";
+  compareBtn.textContent = "Show Original";
+  compareBtn.style.display = "none";
+  hslFieldset.appendChild(compareBtn);
+
+  // HSL controls: presets and sliders
+  const hslControls = document.createElement("div");
+  hslControls.id = "hsl-controls";
+  hslControls.className = "hsl-controls";
+  hslControls.style.display = "none";
+  hslFieldset.appendChild(hslControls);
+
+  const presetRow = document.createElement("fieldset");
+  presetRow.role = "group";
+  hslControls.appendChild(presetRow);
+
+  const presetSelect = document.createElement("select");
+  presetSelect.id = "hsl-preset-select";
+  presetRow.appendChild(presetSelect);
+
+  const presetNameInput = document.createElement("input");
+  presetNameInput.type = "text";
+  presetNameInput.placeholder = "Preset name";
+  presetRow.appendChild(presetNameInput);
+
+  const savePresetBtn = document.createElement("button");
+  savePresetBtn.type = "button";
+  savePresetBtn.textContent = "Save";
+  presetRow.appendChild(savePresetBtn);
+
+  const deletePresetBtn = document.createElement("button");
+  deletePresetBtn.type = "button";
+  deletePresetBtn.className = "secondary";
+  deletePresetBtn.textContent = "Delete";
+  presetRow.appendChild(deletePresetBtn);
+
+  const defaultPreset = getPreset(DEFAULT_PRESET_ID);
+  const hueInput = createRange(hslControls, "Hue", 0, 360, defaultPreset.hue);
+  const saturationInput = createRange(
+    hslControls,
+    "Saturation",
+    0,
+    100,
+    defaultPreset.saturation
+  );
+  const lightnessInput = createRange(
+    hslControls,
+    "Lightness",
+    -100,
+    100,
+    defaultPreset.lightness
+  );
+
   // Apply button
   const applyHslBtn = document.createElement("button");
   applyHslBtn.id = "apply-hsl-btn";
@@ -70,6 +194,41 @@ export function createHslFilterSection() {
 
   hslFieldset.appendChild(bgRemovalLabel);
 
+  // Background removal options (backend, tolerance, feather)
+  const bgOptions = document.createElement("div");
+  bgOptions.id = "bg-removal-options";
+  bgOptions.className = "bg-removal-options";
+  bgOptions.style.display = "none";
+
+  const bgBackendSelect = document.createElement("select");
+  bgBackendSelect.id = "bg-backend-select";
+  Object.entries(BG_REMOVAL_BACKENDS).forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    bgBackendSelect.appendChild(opt);
+  });
+  bgBackendSelect.value = "local";
+  bgOptions.appendChild(bgBackendSelect);
+
+  // local backend only: tolerance and edge feathering sliders
+  const localBgOptions = document.createElement("div");
+  localBgOptions.className = "local-bg-options";
+
+  const toleranceInput = createRange(localBgOptions, "Tolerance", 0, 100, 20);
+  const featherInput = createRange(localBgOptions, "Edge feather", 0, 5, 1);
+  bgOptions.appendChild(localBgOptions);
+
+  hslFieldset.appendChild(bgOptions);
+
+  const updateBgOptions = () => {
+    bgOptions.style.display = bgRemovalCheckbox.checked ? "block" : "none";
+    localBgOptions.style.display =
+      bgBackendSelect.value === "local" ? "block" : "none";
+  };
+  bgRemovalCheckbox.addEventListener("change", updateBgOptions);
+  bgBackendSelect.addEventListener("change", updateBgOptions);
+
   // HSL result area
   const hslResultArea = document.createElement("div");
   hslResultArea.id = "hsl-result-area";
@@ -79,48 +238,228 @@ export function createHslFilterSection() {
   // HSL IMAGE FILTER EVENT LISTENERS
   // ============================================
 
-  let currentImageFile = null;
+  let imageQueue = []; // { file, url } for every queued image, in the order they were added
+  let currentImageFile = null; // the queued image shown in the live preview
   let sourcePreviewUrl = null; // URL for the input image preview
-  let resultPreviewUrl = null; // URL for the filtered result image
+  let resultUrls = []; // URLs for the filtered result images
+  let previewCopy = null; // downscaled copy of the input used for live previews
+  let livePreviewUrl = null; // URL for the filtered live preview
+  let previewImg = null; // image element inside the paste box
+  let previewTimer = null;
+  let previewController = null; // cancels a preview still running when a newer one starts
+  let applyController = null; // cancels the full-size filter
+  let showingOriginal = false;
+
+  const readHslValues = () => ({
+    hue: Number(hueInput.value),
+    saturation: Number(saturationInput.value),
+    lightness: Number(lightnessInput.value),
+  });
+
+  const populatePresetSelect = (selectedId) => {
+    presetSelect.innerHTML = "";
+    const presets = getPresets();
+    Object.entries(presets).forEach(([id, preset]) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = isCustomPreset(id) ? `${preset.name} (custom)` : preset.name;
+      presetSelect.appendChild(opt);
+    });
+    presetSelect.value = selectedId in presets ? selectedId : DEFAULT_PRESET_ID;
+    deletePresetBtn.disabled = !isCustomPreset(presetSelect.value);
+  };
+
+  const selectPreset = (id) => {
+    populatePresetSelect(id);
+    localStorage.setItem(SELECTED_PRESET_KEY, presetSelect.value);
+    const preset = getPreset(presetSelect.value);
+    hueInput.value = String(preset.hue);
+    saturationInput.value = String(preset.saturation);
+    lightnessInput.value = String(preset.lightness);
+    [hueInput, saturationInput, lightnessInput].forEach((i) => i.updateLabel());
+    schedulePreview();
+  };
+
+  // preview on the downscaled copy; remove.bg is skipped here so previews don't spend credits
+  const renderPreview = async () => {
+    if (!previewCopy || !previewImg) return;
+    previewController?.abort();
+    const controller = new AbortController();
+    previewController = controller;
+    const { hue, saturation, lightness } = readHslValues();
+    const removeBg =
+      bgRemovalCheckbox.checked && bgBackendSelect.value === "local"
+        ? {
+            backend: "local",
+            tolerance: Number(toleranceInput.value),
+            feather: Number(featherInput.value),
+          }
+        : false;
+    try {
+      const blob = await applyHslFilter(previewCopy, hue, saturation, lightness, removeBg, {
+        signal: controller.signal,
+      });
+      if (livePreviewUrl) revokeBlobUrl(livePreviewUrl);
+      livePreviewUrl = getBlobUrl(blob);
+      if (!showingOriginal) previewImg.src = livePreviewUrl;
+    } catch (err) {
+      if (err.name !== "AbortError") console.error("Failed to render preview: ", err);
+    }
+  };
+
+  // debounce so dragging a slider doesn't queue a render per step
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, 150);
+  }
+
+  const clearResults = () => {
+    hslResultArea.innerHTML = "";
+    resultUrls.forEach(revokeBlobUrl);
+    resultUrls = [];
+  };
+
+  const renderQueue = () => {
+    hslQueue.innerHTML = "";
+    imageQueue.forEach((item) => {
+      const thumb = document.createElement("div");
+      thumb.className = "hsl-thumb";
+      if (item.file === currentImageFile) thumb.classList.add("selected");
+
+      const img = document.createElement("img");
+      img.src = item.url;
+      img.title = item.file.name || "Pasted image";
+      img.onclick = () => handleFileSelection(item.file);
+      thumb.appendChild(img);
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "remove-image-btn";
+      removeBtn.textContent = "×";
+      removeBtn.title = "Remove image";
+      removeBtn.onclick = () => removeFromQueue(item);
+      thumb.appendChild(removeBtn);
+
+      hslQueue.appendChild(thumb);
+    });
+    applyHslBtn.textContent =
+      imageQueue.length > 1 ? `Apply Filter to ${imageQueue.length} Images` : "Apply Filter";
+  };
+
+  const addImagesToQueue = (files) => {
+    const images = Array.from(files).filter((f) => f.type.startsWith("image/"));
+    if (!images.length) return false;
+    images.forEach((file) => {
+      imageQueue.push({ file, url: getBlobUrl(file) });
+    });
+    clearResults();
+    // preview the first of the newly added images
+    handleFileSelection(images[0]);
+    return true;
+  };
+
+  const removeFromQueue = (item) => {
+    imageQueue = imageQueue.filter((i) => i !== item);
+    revokeBlobUrl(item.url);
+    clearResults();
+    if (imageQueue.length) {
+      handleFileSelection(
+        item.file === currentImageFile ? imageQueue[0].file : currentImageFile
+      );
+      return;
+    }
+    // queue is empty again: back to the bare paste box
+    currentImageFile = null;
+    previewImg = null;
+    previewCopy = null;
+    pasteBox.textContent = "Click to Paste Images, Ctrl+V or Drop Files";
+    [applyHslBtn, hslControls, compareBtn].forEach((el) => (el.style.display = "none"));
+    bgRemovalLabel.style.display = "none";
+    bgOptions.style.display = "none";
+    renderQueue();
+  };
+
+  const handleFileSelection = async (file) => {
+    if (livePreviewUrl) revokeBlobUrl(livePreviewUrl);
+    livePreviewUrl = null;
+    previewCopy = null;
+    showingOriginal = false;
+    compareBtn.textContent = "Show Original";
 
-  const handleFileSelection = (file) => {
-    if (sourcePreviewUrl) revokeBlobUrl(sourcePreviewUrl);
-    
     currentImageFile = file;
     applyHslBtn.style.display = "block";
     bgRemovalLabel.style.display = "flex";
-    
-    // Clear previous result
-    hslResultArea.innerHTML = "";
-    if (resultPreviewUrl) {
-      revokeBlobUrl(resultPreviewUrl);
-      resultPreviewUrl = null;
-    }
+    hslControls.style.display = "block";
+    compareBtn.style.display = "block";
+    renderQueue();
 
     // Show preview in paste box
     pasteBox.innerHTML = "";
-    const previewImg = document.createElement("img");
-    sourcePreviewUrl = URL.createObjectURL(file);
+    previewImg = document.createElement("img");
+    sourcePreviewUrl = imageQueue.find((i) => i.file === file)?.url;
     previewImg.src = sourcePreviewUrl;
     previewImg.style.maxWidth = "100%";
     previewImg.style.maxHeight = "300px";
     previewImg.style.display = "block";
     pasteBox.appendChild(previewImg);
+
+    try {
+      const copy = await createDownscaledCopy(file);
+      if (file !== currentImageFile) return; // another image was picked meanwhile
+      previewCopy = copy;
+      schedulePreview();
+    } catch (err) {
+      console.error("Failed to create preview copy: ", err);
+    }
   };
 
+  compareBtn.addEventListener("click", () => {
+    if (!previewImg) return;
+    showingOriginal = !showingOriginal;
+    previewImg.src = showingOriginal ? sourcePreviewUrl : livePreviewUrl || sourcePreviewUrl;
+    compareBtn.textContent = showingOriginal ? "Show Filtered" : "Show Original";
+  });
+
+  hslControls.addEventListener("input", (e) => {
+    if (e.target.type === "range") schedulePreview();
+  });
+  [bgRemovalCheckbox, bgBackendSelect, toleranceInput, featherInput].forEach((el) =>
+    el.addEventListener("input", schedulePreview)
+  );
+
+  presetSelect.addEventListener("change", () => selectPreset(presetSelect.value));
+
+  savePresetBtn.addEventListener("click", () => {
+    const name = presetNameInput.value.trim();
+    if (!name) {
+      presetNameInput.ariaInvalid = "true";
+      return;
+    }
+    presetNameInput.ariaInvalid = "false";
+    presetNameInput.value = "";
+    selectPreset(saveCustomPreset(name, readHslValues()));
+  });
+
+  deletePresetBtn.addEventListener("click", () => {
+    if (!isCustomPreset(presetSelect.value)) return;
+    deleteCustomPreset(presetSelect.value);
+    selectPreset(DEFAULT_PRESET_ID);
+  });
+
+  selectPreset(localStorage.getItem(SELECTED_PRESET_KEY) || DEFAULT_PRESET_ID);
+
   // Handle click to paste from clipboard
   pasteBox.addEventListener("click", async () => {
     try {
       const clipboardItems = await navigator.clipboard.read();
+      const blobs = [];
       for (const item of clipboardItems) {
         const imageType = item.types.find((type) => type.startsWith("image/"));
         if (imageType) {
-          const blob = await item.getType(imageType);
-          handleFileSelection(blob);
-          return;
+          blobs.push(await item.getType(imageType));
         }
       }
-      alert("No image found in clipboard.");
+      if (!addImagesToQueue(blobs)) alert("No image found in clipboard.");
     } catch (err) {
       alert("Failed to read clipboard. Please allow permissions or use Ctrl+V.");
     }
@@ -128,95 +467,192 @@ export function createHslFilterSection() {
 
   // Handle pasting images from clipboard
   hslSection.addEventListener("paste", (e) => {
-    const items = e.clipboardData.items;
-    for (let i = 0; i < items.length; i++) {
-      if (items[i].type.startsWith("image/")) {
-        const imageFile = items[i].getAsFile();
-        if (imageFile) {
-          handleFileSelection(imageFile);
-          e.preventDefault(); // Prevent default paste behavior (e.g., pasting text)
-          return; // Process only the first image found
+    const files = Array.from(e.clipboardData.items)
+      .filter((item) => item.type.startsWith("image/"))
+      .map((item) => item.getAsFile())
+      .filter(Boolean);
+    if (addImagesToQueue(files)) {
+      e.preventDefault(); // Prevent default paste behavior (e.g., pasting text)
+    }
+  });
+
+  // Handle dropping image files onto the paste box
+  pasteBox.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    pasteBox.classList.add("drag-over");
+  });
+  pasteBox.addEventListener("dragleave", () => pasteBox.classList.remove("drag-over"));
+  pasteBox.addEventListener("drop", (e) => {
+    e.preventDefault();
+    pasteBox.classList.remove("drag-over");
+    addImagesToQueue(e.dataTransfer?.files ?? []);
+  });
+
+  // Handle picking files
+  fileInput.addEventListener("change", () => {
+    addImagesToQueue(fileInput.files ?? []);
+    fileInput.value = "";
+  });
+
+  // copy button for one filtered image
+  const createCopyButton = (filteredBlob) => {
+    const copyBtn = document.createElement("button");
+    copyBtn.textContent = "Copy Image";
+    copyBtn.className = "hsl-copy-btn"; // Changed class name for clarity
+    copyBtn.onclick = async () => {
+      // Made async for clipboard API
+      try {
+        // Check if the Clipboard API is available and permission is granted
+        if (navigator.clipboard && navigator.clipboard.write) {
+          await navigator.clipboard.write([
+            new ClipboardItem({
+              [filteredBlob.type]: filteredBlob,
+            }),
+          ]);
+          copyBtn.textContent = "Copied!";
+          setTimeout(() => (copyBtn.textContent = "Copy Image"), 2000);
+        } else {
+          alert(
+            "Your browser does not support copying images to clipboard directly.",
+          );
         }
+      } catch (err) {
+        console.error("Failed to copy image: ", err);
+        alert(`Failed to copy image: ${err.message}`);
       }
+    };
+    return copyBtn;
+  };
+
+  // download every result as one zip (PNGs are already compressed, so store them as-is)
+  const downloadZip = async (results) => {
+    const files = {};
+    for (const { name, blob } of results) {
+      files[name] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
     }
-  });
+    downloadBlob(
+      new Blob([zipSync(files)], { type: "application/zip" }),
+      `tavern-filtered-${new Date().toISOString().slice(0, 10)}.zip`
+    );
+  };
 
-  // Apply HSL filter
+  // Apply HSL filter to every queued image with the same settings
   applyHslBtn.addEventListener("click", async () => {
-    if (!currentImageFile) {
+    if (!imageQueue.length) {
       hslResultArea.innerText = "Please select an image first.";
       return;
     }
 
     applyHslBtn.disabled = true;
-    hslResultArea.innerHTML = "Applying filter...";
+    clearResults();
 
-    // Revoke the current preview URL if it exists, as it's about to be replaced by the filtered image
-    if (resultPreviewUrl) {
-      revokeBlobUrl(resultPreviewUrl);
-      resultPreviewUrl = null; // Reset it
-    }
-    try {
-      // Fixed HSL values: Hue 24, Saturation 26
-      const hueShift = 24;
-      const saturationAdjust = 26;
-      const lightnessAdjust = 0;
-      const removeBg = bgRemovalCheckbox.checked;
-
-      const filteredBlob = await applyHslFilter(
-        currentImageFile,
-        hueShift,
-        saturationAdjust,
-        lightnessAdjust,
-        removeBg,
-      );
+    // progress bar and cancel button while the worker runs
+    const progressText = document.createElement("span");
+    const progressBar = document.createElement("progress");
+    progressBar.max = 1;
+    progressBar.value = 0;
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "secondary";
+    cancelBtn.textContent = "Cancel";
+    applyController = new AbortController();
+    const { signal } = applyController;
+    cancelBtn.onclick = () => applyController?.abort();
+    hslResultArea.append(progressText, progressBar, cancelBtn);
 
-      hslResultArea.innerHTML = "";
-
-      // Create image preview
-      const previewImg = document.createElement("img");
-      resultPreviewUrl = getBlobUrl(filteredBlob); // Store the URL for the filtered image
-      previewImg.src = resultPreviewUrl;
-      previewImg.className = "hsl-preview-image";
-      // previewImg.style.maxWidth = "500px";
-      previewImg.style.marginTop = "16px";
-      hslResultArea.appendChild(previewImg);
-
-      // Create download button
-      const copyBtn = document.createElement("button");
-      copyBtn.textContent = "Copy Image";
-      copyBtn.className = "hsl-copy-btn"; // Changed class name for clarity
-      copyBtn.style.display = "block";
-      copyBtn.style.margin = "16px auto";
-      copyBtn.onclick = async () => {
-        // Made async for clipboard API
+    const {
+      hue: hueShift,
+      saturation: saturationAdjust,
+      lightness: lightnessAdjust,
+    } = readHslValues();
+    const removeBg = bgRemovalCheckbox.checked
+      ? {
+          backend: bgBackendSelect.value,
+          tolerance: Number(toleranceInput.value),
+          feather: Number(featherInput.value),
+        }
+      : false;
+
+    // one at a time so a batch of phone photos doesn't hold every full-size buffer at once
+    const queue = imageQueue.slice();
+    const usedNames = new Set();
+    const results = [];
+    const failures = [];
+    try {
+      for (const [index, item] of queue.entries()) {
+        progressText.textContent =
+          queue.length > 1
+            ? `Applying filter to image ${index + 1} of ${queue.length}...`
+            : "Applying filter...";
         try {
-          // Check if the Clipboard API is available and permission is granted
-          if (navigator.clipboard && navigator.clipboard.write) {
-            await navigator.clipboard.write([
-              new ClipboardItem({
-                [filteredBlob.type]: filteredBlob,
-              }),
-            ]);
-            copyBtn.textContent = "Copied!";
-            setTimeout(() => (copyBtn.textContent = "Copy Image"), 2000);
-          } else {
-            alert(
-              "Your browser does not support copying images to clipboard directly.",
-            );
-          }
+          const blob = await applyHslFilter(
+            item.file,
+            hueShift,
+            saturationAdjust,
+            lightnessAdjust,
+            removeBg,
+            {
+              signal,
+              onProgress: (progress) =>
+                (progressBar.value = (index + progress) / queue.length),
+            },
+          );
+          results.push({ name: filteredFileName(item.file.name, index, usedNames), blob });
         } catch (err) {
-          console.error("Failed to copy image: ", err);
-          alert(`Failed to copy image: ${err.message}`);
+          if (err.name === "AbortError") throw err;
+          console.error(err);
+          failures.push(
+            `Error applying filter to ${item.file.name || `image ${index + 1}`}: ${err.message}`
+          );
         }
-      };
-      hslResultArea.appendChild(copyBtn); // Appended the new copy button
-    } catch (err) {
-      console.error(err);
-      hslResultArea.innerText = `Error applying filter: ${err.message}`;
+      }
+    } catch {
+      // only cancellation escapes the per-image try
+      failures.push("Filter cancelled.");
     } finally {
+      applyController = null;
       applyHslBtn.disabled = false;
     }
+
+    hslResultArea.innerHTML = "";
+    if (failures.length) {
+      const errorList = document.createElement("div");
+      errorList.className = "hsl-errors";
+      errorList.innerText = failures.join("\n");
+      hslResultArea.appendChild(errorList);
+    }
+    if (!results.length) return;
+
+    // one result downloads as is, several as a zip
+    const downloadBtn = document.createElement("button");
+    downloadBtn.className = "hsl-download-btn";
+    if (results.length > 1) {
+      downloadBtn.textContent = `Download All (${results.length}) as Zip`;
+      downloadBtn.onclick = () => downloadZip(results);
+    } else {
+      downloadBtn.textContent = "Download Image";
+      downloadBtn.onclick = () => downloadBlob(results[0].blob, results[0].name);
+    }
+    hslResultArea.appendChild(downloadBtn);
+
+    // thumbnail grid of results, each with its own copy button
+    const resultGrid = document.createElement("div");
+    resultGrid.className = "hsl-image-grid hsl-result-grid";
+    results.forEach(({ name, blob }) => {
+      const card = document.createElement("figure");
+      const img = document.createElement("img");
+      const url = getBlobUrl(blob);
+      resultUrls.push(url);
+      img.src = url;
+      img.className = "hsl-preview-image";
+      card.appendChild(img);
+      const caption = document.createElement("figcaption");
+      caption.textContent = name;
+      card.appendChild(caption);
+      card.appendChild(createCopyButton(blob));
+      resultGrid.appendChild(card);
+    });
+    hslResultArea.appendChild(resultGrid);
   });
 
   return hslSection; // Return the created section
@@ -0,0 +1,87 @@
+import { splitSponsor } from "./util.js";
+
+// Parsing for manual entry: standings pasted as plain text, one player per line, e.g.
+//   1. Zain - Marth
+//   2.C9 | Cody - Fox / Falco
+//   T5. Hbox (Puff)
+//   7 - Axe - Pikachu
+//   Axe - Pikachu          (no placement: one below the previous line)
+// Produces the same { place, name, sponsor, characters } shape as the fetched rows.
+
+// common community names, keyed like matchCharacter keys (lowercase letters and digits)
+const CHARACTER_NICKNAMES = {
+  falcon: "Captain Falcon",
+  cf: "Captain Falcon",
+  puff: "Jigglypuff",
+  jiggs: "Jigglypuff",
+  ics: "Ice Climbers",
+  ic: "Ice Climbers",
+  climbers: "Ice Climbers",
+  dk: "Donkey Kong",
+  gw: "Mr. Game & Watch",
+  gnw: "Mr. Game & Watch",
+  gameandwatch: "Mr. Game & Watch",
+  gamewatch: "Mr. Game & Watch",
+  ganon: "Ganondorf",
+  yl: "Young Link",
+  ylink: "Young Link",
+  doc: "Dr. Mario",
+  drmario: "Dr. Mario",
+  m2: "Mewtwo",
+  pika: "Pikachu",
+};
+
+// "1. ", "1.", "1)", "T3: ", "3 - " or "5th " -- a separator makes the space optional
+const PLACEMENT_PREFIX = /^T?(\d+)(?:st|nd|rd|th)?(?:\s*[.):\-–]\s*|\s+)/i;
+const CHARACTER_SEPARATOR = /\s*[,/+]\s*/;
+
+// "Name - Fox / Falco" or "Name (Fox, Falco)": split off the characters, if any
+function splitCharacters(text) {
+  const parens = text.match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+  if (parens) return [parens[1], parens[2]];
+  // the last dash separated by spaces, so tags like "Mew-2" stay whole
+  const dash = text.match(/^(.*)\s+[-–—]\s+(.*)$/);
+  if (dash) return [dash[1], dash[2]];
+  return [text, ""];
+}
+
+// Parse pasted standings. matchCharacter(name) maps a character name onto the app's
+// character list (or returns null); nicknames are tried first.
+// Returns { entries, warnings } where warnings mention lines with unknown characters.
+export function parseEntryList(text, matchCharacter) {
+  const key = (n) => n.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const entries = [];
+  const warnings = [];
+  let lastPlace = 0;
+
+  (text || "").split(/\r?\n/).forEach((rawLine, index) => {
+    // tolerate list bullets from copied Markdown or chat messages
+    const line = rawLine.trim().replace(/^[-*•]\s+/, "");
+    if (!line) return;
+
+    const placement = line.match(PLACEMENT_PREFIX);
+    const place = placement ? Number(placement[1]) : lastPlace + 1;
+    lastPlace = place;
+    const [rawName, rawCharacters] = splitCharacters(
+      placement ? line.slice(placement[0].length) : line
+    );
+
+    const characters = [];
+    rawCharacters
+      .split(CHARACTER_SEPARATOR)
+      .filter(Boolean)
+      .forEach((name) => {
+        const character = matchCharacter(CHARACTER_NICKNAMES[key(name)] ?? name);
+        if (!character) {
+          warnings.push(`Line ${index + 1}: unknown character "${name}".`);
+        } else if (!characters.includes(character)) {
+          characters.push(character);
+        }
+      });
+
+    const { sponsor, tag } = splitSponsor(rawName.trim());
+    entries.push({ place: String(place), name: tag, sponsor, characters });
+  });
+
+  return { entries, warnings };
+}
@@ -0,0 +1,77 @@
+import { parseEntryList } from "./manualentry.js";
+
+const BLANK_ROW_COUNT = 8;
+
+// Encapsulate the manual entry panel, for side events and locals that aren't on start.gg:
+// paste a plain-text list or start from blank rows, then edit them like fetched rows.
+// matchCharacter(name) maps a typed character onto the character list;
+// onEntries(entries) replaces the editable rows with the given { place, name, sponsor, characters }.
+export function createManualEntrySection({ matchCharacter, onEntries }) {
+  // ============================================
+  // MANUAL ENTRY UI CREATION
+  // ============================================
+  const manualSection = document.createElement("section");
+  manualSection.id = "manual-entry-section";
+  manualSection.className = "manual-entry-section";
+
+  const details = document.createElement("details");
+  manualSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Manual Entry (no start.gg)";
+  details.appendChild(summary);
+
+  const listInput = document.createElement("textarea");
+  listInput.rows = 8;
+  listInput.placeholder = "1. Zain - Marth\n2. C9 | Cody - Fox / Falco\nT3. Hbox (Puff)";
+  listInput.title =
+    "One player per line: placement, optional sponsor before \" | \", name, then characters after \" - \" or in parentheses";
+  details.appendChild(listInput);
+
+  const actions = document.createElement("div");
+  actions.className = "manual-entry-actions";
+  details.appendChild(actions);
+
+  const fillBtn = document.createElement("button");
+  fillBtn.type = "button";
+  fillBtn.textContent = "Fill Rows";
+  actions.appendChild(fillBtn);
+
+  const blankBtn = document.createElement("button");
+  blankBtn.type = "button";
+  blankBtn.className = "secondary";
+  blankBtn.textContent = `Start ${BLANK_ROW_COUNT} Blank Rows`;
+  actions.appendChild(blankBtn);
+
+  const manualStatus = document.createElement("div");
+  manualStatus.className = "cache-status";
+  details.appendChild(manualStatus);
+
+  // ============================================
+  // MANUAL ENTRY EVENT LISTENERS
+  // ============================================
+
+  fillBtn.addEventListener("click", () => {
+    const { entries, warnings } = parseEntryList(listInput.value, matchCharacter);
+    if (!entries.length) {
+      manualStatus.textContent = "Paste one player per line first, e.g. \"1. Name - Character\".";
+      return;
+    }
+    onEntries(entries);
+    manualStatus.textContent = [`Filled ${entries.length} rows.`, ...warnings].join(" ");
+  });
+
+  blankBtn.addEventListener("click", () => {
+    onEntries(
+      Array.from({ length: BLANK_ROW_COUNT }, (_, i) => ({
+        place: String(i + 1),
+        name: "",
+        sponsor: "",
+        characters: [],
+      }))
+    );
+    manualStatus.textContent = "";
+  });
+
+  return manualSection; // Return the created section
+}
@@ -0,0 +1,116 @@
+import { formatPlacement, tiedPlacements, formatEventDate, extractSlug } from "./util.js";
+
+// Newsletter draft builder: turns the fetched event and the edited rows into
+// Markdown and HTML skeletons for the weekly Talk of the Tavern issue.
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// collect everything the draft needs in one place so both formats say the same thing
+function draftData({ eventUrl, stats, entries, bracketSize }) {
+  const slug = eventUrl ? extractSlug(eventUrl) : "";
+  const ties = tiedPlacements(entries.map((e) => String(e.place)));
+  return {
+    title: stats?.tournamentName || "Weekly",
+    eventName: stats?.eventName || "",
+    link: slug ? `https://www.start.gg/${slug}` : "",
+    date: formatEventDate(stats?.startAt),
+    attendees: stats?.nonDQAttendees ?? null,
+    sets: stats?.nonDQSets ?? null,
+    grandFinals: stats?.grandFinals ?? [],
+    heading: `Top ${bracketSize || entries.length}`,
+    standings: entries.map((e) => ({
+      place: formatPlacement(e.place, ties.has(String(e.place))),
+      name: e.name,
+      characters: (e.characters?.length ? e.characters : [e.character]).filter(Boolean),
+    })),
+  };
+}
+
+export function buildNewsletterMarkdown(options) {
+  const d = draftData(options);
+  const lines = [`# Talk of the Tavern — ${d.title}`, ""];
+
+  const eventLabel = [d.title, d.eventName].filter(Boolean).join(" – ");
+  lines.push(`**Event:** ${d.link ? `[${eventLabel}](${d.link})` : eventLabel}  `);
+  if (d.date) lines.push(`**Date:** ${d.date}  `);
+  if (d.attendees != null || d.sets != null) {
+    lines.push(
+      `**Attendance:** ${d.attendees ?? "?"} entrants, ${d.sets ?? "?"} sets played`
+    );
+  }
+
+  lines.push("", `## ${d.heading}`, "");
+  d.standings.forEach((s) => {
+    const characters = s.characters.length ? ` (${s.characters.join(" / ")})` : "";
+    lines.push(`- **${s.place}** ${s.name}${characters}`);
+  });
+
+  lines.push("", "## Grand Finals", "");
+  if (d.grandFinals.length) {
+    d.grandFinals.forEach((gf) => lines.push(`- ${gf.round}: ${gf.displayScore}`));
+  } else {
+    lines.push("_Grand Finals score goes here._");
+  }
+
+  lines.push("", "## Write-ups", "");
+  d.standings.forEach((s) => {
+    lines.push(`### ${s.place} ${s.name}`, "", `_Write-up for ${s.name} goes here._`, "");
+  });
+
+  lines.push("## Notable Sets", "", "_Upsets and close sets go here._", "");
+  lines.push("## Shoutouts", "", "_Shoutouts and announcements go here._", "");
+  return lines.join("\n");
+}
+
+export function buildNewsletterHtml(options) {
+  const d = draftData(options);
+  const eventLabel = escapeHtml([d.title, d.eventName].filter(Boolean).join(" – "));
+  const parts = [`<h1>Talk of the Tavern — ${escapeHtml(d.title)}</h1>`, "<p>"];
+
+  parts.push(
+    `  <strong>Event:</strong> ${
+      d.link ? `<a href="${escapeHtml(d.link)}">${eventLabel}</a>` : eventLabel
+    }<br />`
+  );
+  if (d.date) parts.push(`  <strong>Date:</strong> ${escapeHtml(d.date)}<br />`);
+  if (d.attendees != null || d.sets != null) {
+    parts.push(
+      `  <strong>Attendance:</strong> ${d.attendees ?? "?"} entrants, ${d.sets ?? "?"} sets played`
+    );
+  }
+  parts.push("</p>", "", `<h2>${escapeHtml(d.heading)}</h2>`, "<ul>");
+  d.standings.forEach((s) => {
+    const characters = s.characters.length
+      ? ` (${escapeHtml(s.characters.join(" / "))})`
+      : "";
+    parts.push(`  <li><strong>${escapeHtml(s.place)}</strong> ${escapeHtml(s.name)}${characters}</li>`);
+  });
+  parts.push("</ul>", "", "<h2>Grand Finals</h2>");
+  if (d.grandFinals.length) {
+    parts.push("<ul>");
+    d.grandFinals.forEach((gf) =>
+      parts.push(`  <li>${escapeHtml(gf.round)}: ${escapeHtml(gf.displayScore)}</li>`)
+    );
+    parts.push("</ul>");
+  } else {
+    parts.push("<p><em>Grand Finals score goes here.</em></p>");
+  }
+
+  parts.push("", "<h2>Write-ups</h2>");
+  d.standings.forEach((s) => {
+    parts.push(
+      `<h3>${escapeHtml(s.place)} ${escapeHtml(s.name)}</h3>`,
+      `<p><em>Write-up for ${escapeHtml(s.name)} goes here.</em></p>`
+    );
+  });
+
+  parts.push("", "<h2>Notable Sets</h2>", "<p><em>Upsets and close sets go here.</em></p>");
+  parts.push("", "<h2>Shoutouts</h2>", "<p><em>Shoutouts and announcements go here.</em></p>", "");
+  return parts.join("\n");
+}
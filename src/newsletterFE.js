@@ -0,0 +1,111 @@
+import { buildNewsletterMarkdown, buildNewsletterHtml } from "./newsletter.js";
+import { downloadBlob } from "./util.js";
+
+const FORMATS = {
+  markdown: { label: "Markdown", extension: "md", type: "text/markdown", build: buildNewsletterMarkdown },
+  html: { label: "HTML", extension: "html", type: "text/html", build: buildNewsletterHtml },
+};
+
+// Encapsulate the newsletter draft section: generate, copy and download a Markdown/HTML skeleton.
+// getDraftInput() returns { eventUrl, stats, entries, bracketSize } or null when nothing is fetched yet.
+export function createNewsletterSection({ getDraftInput }) {
+  // ============================================
+  // NEWSLETTER DRAFT UI CREATION
+  // ============================================
+  const newsletterSection = document.createElement("section");
+  newsletterSection.id = "newsletter-section";
+  newsletterSection.className = "newsletter-section";
+
+  const controls = document.createElement("fieldset");
+  controls.role = "group";
+  newsletterSection.appendChild(controls);
+
+  const formatSelect = document.createElement("select");
+  formatSelect.id = "newsletter-format-select";
+  Object.entries(FORMATS).forEach(([value, { label }]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    formatSelect.appendChild(opt);
+  });
+  controls.appendChild(formatSelect);
+
+  const generateBtn = document.createElement("button");
+  generateBtn.type = "button";
+  generateBtn.id = "generate-newsletter-btn";
+  generateBtn.textContent = "Generate Newsletter Draft";
+  controls.appendChild(generateBtn);
+
+  const draftArea = document.createElement("div");
+  draftArea.id = "newsletter-draft-area";
+  draftArea.style.display = "none";
+  newsletterSection.appendChild(draftArea);
+
+  const draftText = document.createElement("textarea");
+  draftText.id = "newsletter-draft";
+  draftText.rows = 16;
+  draftArea.appendChild(draftText);
+
+  const actions = document.createElement("div");
+  actions.className = "newsletter-actions";
+  draftArea.appendChild(actions);
+
+  const copyBtn = document.createElement("button");
+  copyBtn.type = "button";
+  copyBtn.textContent = "Copy Draft";
+  actions.appendChild(copyBtn);
+
+  const downloadBtn = document.createElement("button");
+  downloadBtn.type = "button";
+  downloadBtn.className = "secondary";
+  downloadBtn.textContent = "Download File";
+  actions.appendChild(downloadBtn);
+
+  const newsletterStatus = document.createElement("div");
+  newsletterStatus.className = "newsletter-status";
+  newsletterSection.appendChild(newsletterStatus);
+
+  // ============================================
+  // NEWSLETTER DRAFT EVENT LISTENERS
+  // ============================================
+
+  let draftFileBase = "newsletter-draft";
+
+  const renderDraft = () => {
+    const input = getDraftInput();
+    if (!input?.entries?.length) {
+      newsletterStatus.textContent = "Fetch an event first.";
+      draftArea.style.display = "none";
+      return;
+    }
+    newsletterStatus.textContent = "";
+    draftText.value = FORMATS[formatSelect.value].build(input);
+    draftArea.style.display = "block";
+    // name the file after the tournament slug, e.g. "abbey-weekly-42-newsletter.md"
+    const tournament = input.eventUrl?.match(/tournament\/([^/]+)/)?.[1];
+    draftFileBase = tournament ? `${tournament}-newsletter` : "newsletter-draft";
+  };
+
+  generateBtn.addEventListener("click", renderDraft);
+  formatSelect.addEventListener("change", () => {
+    if (draftArea.style.display !== "none") renderDraft();
+  });
+
+  copyBtn.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(draftText.value);
+      copyBtn.textContent = "Copied!";
+      setTimeout(() => (copyBtn.textContent = "Copy Draft"), 2000);
+    } catch (err) {
+      console.error("Failed to copy draft: ", err);
+      newsletterStatus.textContent = `Failed to copy draft: ${err.message}`;
+    }
+  });
+
+  downloadBtn.addEventListener("click", () => {
+    const { extension, type } = FORMATS[formatSelect.value];
+    downloadBlob(new Blob([draftText.value], { type }), `${draftFileBase}.${extension}`);
+  });
+
+  return newsletterSection; // Return the created section
+}
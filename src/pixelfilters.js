@@ -0,0 +1,294 @@
+/**
+ * Pixel Filters Module
+ * Per-pixel operations on ImageData, shared by the filter worker
+ */
+
+/**
+ * Convert RGB to HSL
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Array} [h, s, l] where h is 0-360, s and l are 0-100
+ */
+export function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let h = 0;
+  let s = 0;
+  const l = (max + min) / 2;
+
+  if (max !== min) {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+    switch (max) {
+      case r:
+        h = ((g - b) / d + (g < b ? 6 : 0)) / 6;
+        break;
+      case g:
+        h = ((b - r) / d + 2) / 6;
+        break;
+      case b:
+        h = ((r - g) / d + 4) / 6;
+        break;
+    }
+  }
+
+  return [h * 360, s * 100, l * 100];
+}
+
+/**
+ * Convert HSL to RGB
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {Array} [r, g, b] where each is 0-255
+ */
+export function hslToRgb(h, s, l) {
+  h = h / 360;
+  s = s / 100;
+  l = l / 100;
+
+  let r, g, b;
+
+  if (s === 0) {
+    r = g = b = l;
+  } else {
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+
+    r = hue2rgb(p, q, h + 1 / 3);
+    g = hue2rgb(p, q, h);
+    b = hue2rgb(p, q, h - 1 / 3);
+  }
+
+  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+}
+
+/**
+ * Remove a plain or softly varying background without any network access.
+ * Flood fills inward from every border pixel, claiming neighbours whose color
+ * stays within the tolerance of the border pixel the fill started from, so the
+ * fill stops at the subject's edges. The resulting mask can be feathered to
+ * soften the cut-out edge.
+ * @param {ImageData} imageData - The image data to cut out (modified in place)
+ * @param {Object} options
+ * @param {number} options.tolerance - How different a pixel may be from the border color (0-100)
+ * @param {number} options.feather - Edge smoothing radius in pixels (0 for a hard edge)
+ */
+export function removeBackgroundLocal(imageData, { tolerance = 20, feather = 1 } = {}) {
+  const { width, height, data } = imageData;
+  const pixelCount = width * height;
+  // tolerance is a percentage of the largest possible RGB distance
+  const maxDistance = (Math.max(0, Math.min(100, tolerance)) / 100) * 441.67;
+  const maxDistanceSq = maxDistance * maxDistance;
+
+  // seed[i] is the border pixel the fill reached pixel i from, -1 if never reached
+  const seed = new Int32Array(pixelCount).fill(-1);
+  const queue = new Int32Array(pixelCount);
+  let head = 0;
+  let tail = 0;
+
+  const visit = (i, origin) => {
+    if (seed[i] !== -1) return;
+    const p = i * 4;
+    const o = origin * 4;
+    const dr = data[p] - data[o];
+    const dg = data[p + 1] - data[o + 1];
+    const db = data[p + 2] - data[o + 2];
+    if (dr * dr + dg * dg + db * db > maxDistanceSq) return;
+    seed[i] = origin;
+    queue[tail++] = i;
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x, x);
+    const bottom = (height - 1) * width + x;
+    visit(bottom, bottom);
+  }
+  for (let y = 0; y < height; y++) {
+    const left = y * width;
+    visit(left, left);
+    const right = left + width - 1;
+    visit(right, right);
+  }
+
+  while (head < tail) {
+    const i = queue[head++];
+    const origin = seed[i];
+    const x = i % width;
+    if (x > 0) visit(i - 1, origin);
+    if (x < width - 1) visit(i + 1, origin);
+    if (i >= width) visit(i - width, origin);
+    if (i < pixelCount - width) visit(i + width, origin);
+  }
+
+  // 255 = keep, 0 = background
+  let mask = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    mask[i] = seed[i] === -1 ? 255 : 0;
+  }
+
+  const radius = Math.max(0, Math.round(feather));
+  if (radius > 0) {
+    mask = boxBlur(mask, width, height, radius);
+  }
+
+  for (let i = 0; i < pixelCount; i++) {
+    data[i * 4 + 3] = Math.round((data[i * 4 + 3] * mask[i]) / 255);
+  }
+}
+
+/**
+ * Separable box blur over a single-channel mask
+ * @param {Float32Array} mask - Values to blur, row-major
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius - Blur radius in pixels
+ * @returns {Float32Array} The blurred mask
+ */
+function boxBlur(mask, width, height, radius) {
+  const temp = new Float32Array(mask.length);
+  const out = new Float32Array(mask.length);
+
+  // horizontal pass (edges clamp to the nearest pixel)
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += mask[row + Math.max(0, Math.min(width - 1, x + k))];
+      }
+      temp[row + x] = sum / (radius * 2 + 1);
+    }
+  }
+
+  // vertical pass
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += temp[Math.max(0, Math.min(height - 1, y + k)) * width + x];
+      }
+      out[y * width + x] = sum / (radius * 2 + 1);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Apply colorize effect to an image (like Photoshop's colorize)
+ * Converts image to grayscale, then applies a hue tint
+ * @param {ImageData} imageData - The image data to colorize
+ * @param {number} hue - The hue to apply (0-360)
+ * @param {number} saturation - The saturation level (0-100)
+ * @param {Function} [onProgress] - Called with the fraction done (0-1) every so often
+ */
+export function applyColorize(imageData, hue, saturation, onProgress) {
+  const data = imageData.data;
+  const progressStep = progressInterval(data.length);
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (onProgress && i % progressStep === 0) onProgress(i / data.length);
+
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const a = data[i + 3];
+
+    // Convert to grayscale using luminosity method
+    const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+
+    // Convert grayscale to HSL (gray has 0 saturation)
+    let [, , l] = rgbToHsl(gray, gray, gray);
+
+    // Apply the colorize hue and saturation
+    const [newR, newG, newB] = hslToRgb(hue, saturation, l);
+
+    data[i] = newR;
+    data[i + 1] = newG;
+    data[i + 2] = newB;
+    data[i + 3] = a;
+  }
+}
+
+/**
+ * Shift the lightness of every pixel, keeping its hue and saturation
+ * @param {ImageData} imageData - The image data to adjust (modified in place)
+ * @param {number} lightnessAdjust - Amount to adjust lightness (-100 to 100)
+ * @param {Function} [onProgress] - Called with the fraction done (0-1) every so often
+ */
+export function applyLightness(imageData, lightnessAdjust, onProgress) {
+  const data = imageData.data;
+  const progressStep = progressInterval(data.length);
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (onProgress && i % progressStep === 0) onProgress(i / data.length);
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const a = data[i + 3];
+
+    let [h, s, l] = rgbToHsl(r, g, b);
+    l = Math.max(0, Math.min(100, l + lightnessAdjust));
+
+    const [newR, newG, newB] = hslToRgb(h, s, l);
+    data[i] = newR;
+    data[i + 1] = newG;
+    data[i + 2] = newB;
+    data[i + 3] = a;
+  }
+}
+
+/**
+ * Run the whole filter pipeline: optional local background removal, colorize, then lightness
+ * @param {ImageData} imageData - The image data to process (modified in place)
+ * @param {Object} settings
+ * @param {number} settings.hue - Colorize hue (0-360)
+ * @param {number} settings.saturation - Colorize saturation (0-100)
+ * @param {number} settings.lightness - Lightness adjustment (-100 to 100)
+ * @param {Object|null} settings.bgRemoval - { backend, tolerance, feather }; only "local" is handled here
+ * @param {Function} [onProgress] - Called with the overall fraction done (0-1)
+ */
+export function applyFilterPipeline(
+  imageData,
+  { hue, saturation, lightness, bgRemoval },
+  onProgress = () => {}
+) {
+  // weight each stage so progress moves roughly evenly
+  const stages = [];
+  if (bgRemoval?.backend === "local") {
+    stages.push((report) => {
+      removeBackgroundLocal(imageData, bgRemoval);
+      report(1);
+    });
+  }
+  stages.push((report) => applyColorize(imageData, hue, saturation, report));
+  if (lightness !== 0) {
+    stages.push((report) => applyLightness(imageData, lightness, report));
+  }
+
+  stages.forEach((stage, index) => {
+    stage((fraction) => onProgress((index + fraction) / stages.length));
+  });
+  onProgress(1);
+}
+
+// report progress roughly 50 times per pass, on pixel boundaries
+function progressInterval(length) {
+  return Math.max(4, Math.ceil(length / 4 / 50) * 4);
+}
@@ -0,0 +1,176 @@
+// Every start.gg GraphQL query the app runs, keyed by operation name.
+// The browser only sends an operation name and its variables; the start.gg proxy
+// (netlify/functions/startgg.mjs) looks the query up here, so nothing else can be
+// run with our API key.
+// The per-event queries ask for the event state so completed events can be cached
+// (see responsecache.js).
+
+// fields shared by the standings and sets queries below
+const STANDING_FIELDS = `
+  placement
+  entrant {
+    id
+    name
+    participants {
+      prefix
+      gamerTag
+      player { id }
+    }
+  }`;
+
+const SET_FIELDS = `
+  id
+  round
+  fullRoundText
+  displayScore
+  completedAt
+  winnerId
+  state
+  # Slots contain the entrants/players in the set
+  slots {
+    id
+    seed {
+      seedNum
+    }
+    entrant {
+      id
+      name
+      standing {
+        placement
+      }
+    }
+  }`;
+
+const EVENT_FIELDS = `slug name startAt state videogame { id }`;
+
+export const SETS_PER_PAGE = 50;
+
+export const STARTGG_QUERIES = {
+  EventStandings: `query EventStandings($slug: String, $perPage: Int) {
+    event(slug: $slug) {
+      name
+      startAt
+      state
+      tournament { name }
+      standings(query: { perPage: $perPage, page: 1 }) {
+        nodes { ${STANDING_FIELDS} }
+      }
+    }
+  }`,
+
+  // one page of an event's sets, with the event details stats need
+  EventSetsData: `query EventSetsData($slug: String, $page: Int) {
+    event(slug: $slug) {
+      id
+      name
+      state
+      startAt
+      tournament { name }
+      sets(page: $page, perPage: ${SETS_PER_PAGE}) {
+        pageInfo {
+          total
+          totalPages
+        }
+        nodes { ${SET_FIELDS} }
+      }
+    }
+  }`,
+
+  // standings plus the first page of sets in one request
+  EventResults: `query EventResults($slug: String, $perPage: Int, $page: Int) {
+    event(slug: $slug) {
+      id
+      name
+      state
+      startAt
+      tournament { name }
+      standings(query: { perPage: $perPage, page: 1 }) {
+        nodes { ${STANDING_FIELDS} }
+      }
+      sets(page: $page, perPage: ${SETS_PER_PAGE}) {
+        pageInfo {
+          total
+          totalPages
+        }
+        nodes { ${SET_FIELDS} }
+      }
+    }
+  }`,
+
+  EntrantGameSelections: `query EntrantGameSelections($slug: String, $page: Int, $entrantIds: [ID]) {
+    event(slug: $slug) {
+      state
+      sets(page: $page, perPage: 20, filters: { entrantIds: $entrantIds }) {
+        pageInfo {
+          totalPages
+        }
+        nodes {
+          games {
+            selections {
+              entrant { id }
+              character { name }
+            }
+          }
+        }
+      }
+    }
+  }`,
+
+  SeasonTournaments: `query SeasonTournaments($name: String, $afterDate: Timestamp, $beforeDate: Timestamp, $page: Int) {
+    tournaments(query: {
+      perPage: 25
+      page: $page
+      sortBy: "startAt asc"
+      filter: { name: $name, afterDate: $afterDate, beforeDate: $beforeDate, videogameIds: [1] }
+    }) {
+      pageInfo {
+        totalPages
+      }
+      nodes {
+        name
+        startAt
+        events {
+          slug
+          name
+          startAt
+          videogame { id }
+        }
+      }
+    }
+  }`,
+
+  RecentTournaments: `query RecentTournaments($perPage: Int, $ownerId: ID) {
+    tournaments(query: {
+      perPage: $perPage
+      page: 1
+      sortBy: "startAt desc"
+      filter: { ownerId: $ownerId, past: true }
+    }) {
+      nodes {
+        name
+        events { ${EVENT_FIELDS} }
+      }
+    }
+  }`,
+
+  TournamentOwner: `query TournamentOwner($slug: String) {
+    user(slug: $slug) { id }
+  }`,
+
+  // a series URL (start.gg/<slug>) is either a league or a tournament whose owner runs the series
+  SeriesOwner: `query SeriesOwner($slug: String) {
+    league(slug: $slug) { id }
+    tournament(slug: $slug) { owner { id } }
+  }`,
+
+  LeagueEvents: `query LeagueEvents($slug: String, $perPage: Int) {
+    league(slug: $slug) {
+      events(query: { perPage: $perPage, page: 1 }) {
+        nodes {
+          ${EVENT_FIELDS}
+          tournament { name }
+        }
+      }
+    }
+  }`,
+};
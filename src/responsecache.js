@@ -0,0 +1,129 @@
+// Persistent cache of start.gg responses for completed events, kept in IndexedDB.
+// Results of a finished event never change, so re-opening one is answered from here
+// (instantly, and offline) instead of refetching every page of standings and sets.
+// Records: { key, slug, operation, variables, data, savedAt }, keyed by operation + variables.
+const DB_NAME = "tool-of-the-tavern";
+const DB_VERSION = 1;
+const STORE_NAME = "startgg-responses";
+
+let dbPromise = null;
+
+// no IndexedDB (e.g. the Node CLI) simply means no caching
+const cacheAvailable = () => typeof indexedDB !== "undefined";
+
+function openDatabase() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (!cacheAvailable()) {
+      reject(new Error("IndexedDB is not available."));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+      store.createIndex("slug", "slug");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+// run fn(store) in a transaction; resolves with the result of the request fn returns
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// same variables in any key order give the same key
+function cacheKey(operation, variables = {}) {
+  const sorted = Object.keys(variables)
+    .sort()
+    .map((name) => [name, variables[name]]);
+  return `${operation}:${JSON.stringify(sorted)}`;
+}
+
+// the cached data for a query, or null when there is none (or IndexedDB is unusable)
+export async function readCachedResponse(operation, variables) {
+  if (!cacheAvailable()) return null;
+  try {
+    const record = await withStore("readonly", (store) => store.get(cacheKey(operation, variables)));
+    return record ? record.data : null;
+  } catch (e) {
+    console.warn("Invalid response cache, ignoring.", e);
+    return null;
+  }
+}
+
+export async function saveCachedResponse(operation, variables, data) {
+  if (!cacheAvailable()) return;
+  try {
+    await withStore("readwrite", (store) =>
+      store.put({
+        key: cacheKey(operation, variables),
+        slug: variables?.slug ?? "",
+        operation,
+        variables,
+        data,
+        savedAt: Date.now(),
+      })
+    );
+  } catch (e) {
+    // a full or blocked cache only costs us the next refetch
+    console.warn("Could not save the start.gg response to the cache.", e);
+  }
+}
+
+// one entry per cached event, newest first:
+// [{ slug, name, responses, bytes, savedAt }]
+export async function listCachedEvents() {
+  let records;
+  try {
+    records = (await withStore("readonly", (store) => store.getAll())) ?? [];
+  } catch (e) {
+    console.warn("Invalid response cache, ignoring.", e);
+    return [];
+  }
+
+  const bySlug = new Map();
+  records.forEach((record) => {
+    const entry = bySlug.get(record.slug) ?? {
+      slug: record.slug,
+      name: "",
+      responses: 0,
+      bytes: 0,
+      savedAt: 0,
+    };
+    const event = record.data?.event;
+    if (!entry.name && event?.tournament?.name) {
+      entry.name = `${event.tournament.name} – ${event.name}`;
+    }
+    entry.responses++;
+    entry.bytes += JSON.stringify(record.data).length;
+    entry.savedAt = Math.max(entry.savedAt, record.savedAt);
+    bySlug.set(record.slug, entry);
+  });
+  return [...bySlug.values()].sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// drop every cached response for one event
+export async function deleteCachedEvent(slug) {
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, "readwrite");
+    const store = tx.objectStore(STORE_NAME);
+    const request = store.index("slug").getAllKeys(slug);
+    request.onsuccess = () => request.result.forEach((key) => store.delete(key));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function clearResponseCache() {
+  await withStore("readwrite", (store) => store.clear());
+}
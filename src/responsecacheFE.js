@@ -0,0 +1,110 @@
+import { listCachedEvents, deleteCachedEvent, clearResponseCache } from "./responsecache.js";
+
+// Encapsulate the start.gg response cache panel: see which completed events are cached,
+// drop one to force a refetch, or clear the whole cache
+export function createResponseCacheSection() {
+  // ============================================
+  // RESPONSE CACHE UI CREATION
+  // ============================================
+  const responseCacheSection = document.createElement("section");
+  responseCacheSection.id = "response-cache-section";
+  responseCacheSection.className = "response-cache-section";
+
+  const details = document.createElement("details");
+  responseCacheSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "start.gg Response Cache";
+  details.appendChild(summary);
+
+  const note = document.createElement("p");
+  note.className = "response-cache-note";
+  note.textContent =
+    "Completed events are kept here after their first fetch, so opening them again is instant and works offline. Use Refresh next to Fetch to get an event from start.gg again.";
+  details.appendChild(note);
+
+  const clearBtn = document.createElement("button");
+  clearBtn.type = "button";
+  clearBtn.className = "secondary";
+  clearBtn.textContent = "Clear cache";
+  details.appendChild(clearBtn);
+
+  const cacheStatus = document.createElement("div");
+  cacheStatus.className = "cache-status";
+  details.appendChild(cacheStatus);
+
+  const table = document.createElement("table");
+  table.className = "response-cache-table";
+  table.innerHTML =
+    "<thead><tr><th>Event</th><th>Responses</th><th>Size</th><th>Saved</th><th></th></tr></thead>";
+  const tbody = document.createElement("tbody");
+  table.appendChild(tbody);
+  details.appendChild(table);
+
+  // ============================================
+  // RESPONSE CACHE EVENT LISTENERS
+  // ============================================
+
+  const formatSize = (bytes) =>
+    bytes >= 1024 * 1024
+      ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+  const renderEvents = async () => {
+    const events = await listCachedEvents();
+
+    tbody.innerHTML = "";
+    if (!events.length) {
+      const row = tbody.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "No events are cached yet.";
+      return;
+    }
+
+    events.forEach((event) => {
+      const row = tbody.insertRow();
+
+      const eventCell = row.insertCell();
+      eventCell.textContent = event.name || event.slug;
+      eventCell.title = event.slug;
+
+      row.insertCell().textContent = String(event.responses);
+      row.insertCell().textContent = formatSize(event.bytes);
+      row.insertCell().textContent = new Date(event.savedAt).toLocaleString();
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "secondary";
+      deleteBtn.textContent = "Delete";
+      deleteBtn.onclick = async () => {
+        try {
+          await deleteCachedEvent(event.slug);
+          cacheStatus.textContent = `Deleted ${event.name || event.slug}.`;
+        } catch (err) {
+          console.error(err);
+          cacheStatus.textContent = `Delete failed: ${err.message}`;
+        }
+        renderEvents();
+      };
+      row.insertCell().appendChild(deleteBtn);
+    });
+  };
+
+  details.addEventListener("toggle", () => {
+    if (details.open) renderEvents();
+  });
+
+  clearBtn.addEventListener("click", async () => {
+    try {
+      await clearResponseCache();
+      cacheStatus.textContent = "Cache cleared.";
+    } catch (err) {
+      console.error(err);
+      cacheStatus.textContent = `Clear failed: ${err.message}`;
+    }
+    renderEvents();
+  });
+
+  return responseCacheSection; // Return the created section
+}
@@ -0,0 +1,127 @@
+// Season leaderboard: a season is a list of weekly events (or a date range to look
+// them up by), and players earn points for where they place in each one.
+// Season definitions and each event's fetched standings are kept in localStorage,
+// so re-ranking a season only fetches events it hasn't seen yet.
+const SEASONS_KEY = "seasons";
+const SEASON_RESULTS_KEY = "season-results";
+
+// [placement, points]: a placement earns the points of the last row at or above it,
+// so 5th and 6th both get the 5th place points and everyone past the last row gets its points
+export const DEFAULT_POINTS_TABLE = [
+  [1, 100],
+  [2, 80],
+  [3, 65],
+  [4, 55],
+  [5, 45],
+  [7, 35],
+  [9, 25],
+  [13, 15],
+  [17, 10],
+  [25, 5],
+  [33, 1],
+];
+
+// "1:100, 2:80, 3:65" -> [[1, 100], [2, 80], [3, 65]]
+export function parsePointsTable(text) {
+  const table = (text || "")
+    .split(/[,\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^(\d+)\s*[:=]\s*(\d+(?:\.\d+)?)$/);
+      if (!match) throw new Error(`Invalid points entry "${part}", expected placement:points.`);
+      return [Number(match[1]), Number(match[2])];
+    });
+  if (!table.length) throw new Error("The points table is empty.");
+  return table.sort((a, b) => a[0] - b[0]);
+}
+
+export function formatPointsTable(table) {
+  return table.map(([placement, points]) => `${placement}:${points}`).join(", ");
+}
+
+export function pointsForPlacement(placement, table = DEFAULT_POINTS_TABLE) {
+  let points = 0;
+  for (const [threshold, value] of table) {
+    if (placement >= threshold) points = value;
+  }
+  return points;
+}
+
+// ============================================
+// SEASON DEFINITIONS
+// ============================================
+
+// { [key]: { name, mode: "list" | "range", events: [slug], search, from, to, points } }
+export function readSeasons() {
+  try {
+    return JSON.parse(localStorage.getItem(SEASONS_KEY) || "{}");
+  } catch (e) {
+    console.warn("Invalid seasons, ignoring.", e);
+    return {};
+  }
+}
+
+// returns the key the season was stored under
+export function saveSeason(season) {
+  const key = (season.name || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  if (!key) throw new Error("Season name is required.");
+  const seasons = readSeasons();
+  seasons[key] = { ...season, name: season.name.trim() };
+  localStorage.setItem(SEASONS_KEY, JSON.stringify(seasons));
+  return key;
+}
+
+export function deleteSeason(key) {
+  const seasons = readSeasons();
+  delete seasons[key];
+  localStorage.setItem(SEASONS_KEY, JSON.stringify(seasons));
+}
+
+// ============================================
+// FETCHED EVENT RESULTS
+// ============================================
+
+// { [event slug]: { slug, tournamentName, eventName, startAt, standings: [{ placement, playerId, tag }] } }
+export function readSeasonResults() {
+  try {
+    return JSON.parse(localStorage.getItem(SEASON_RESULTS_KEY) || "{}");
+  } catch (e) {
+    console.warn("Invalid season results, ignoring.", e);
+    return {};
+  }
+}
+
+export function saveSeasonResult(result) {
+  const results = readSeasonResults();
+  results[result.slug] = result;
+  localStorage.setItem(SEASON_RESULTS_KEY, JSON.stringify(results));
+}
+
+// Rank players across the given event results.
+// Returns [{ rank, key, name, points, attended, best }] with tied points sharing a rank.
+export function computeLeaderboard(results, table = DEFAULT_POINTS_TABLE) {
+  const players = new Map();
+  // oldest event first so the most recent tag wins when a player renames
+  const ordered = [...results].sort((a, b) => (a.startAt ?? 0) - (b.startAt ?? 0));
+  for (const result of ordered) {
+    for (const s of result.standings ?? []) {
+      const key = s.playerId ? `player:${s.playerId}` : `name:${(s.tag || "").toLowerCase()}`;
+      const player = players.get(key) ?? { key, name: s.tag, points: 0, attended: 0, best: null };
+      player.name = s.tag || player.name;
+      player.points += pointsForPlacement(s.placement, table);
+      player.attended += 1;
+      player.best = player.best == null ? s.placement : Math.min(player.best, s.placement);
+      players.set(key, player);
+    }
+  }
+
+  const ranked = [...players.values()].sort(
+    (a, b) => b.points - a.points || b.attended - a.attended || a.best - b.best
+  );
+  ranked.forEach((player, i) => {
+    const previous = ranked[i - 1];
+    player.rank = previous && previous.points === player.points ? previous.rank : i + 1;
+  });
+  return ranked;
+}
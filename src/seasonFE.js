@@ -0,0 +1,416 @@
+import { getEventStandings, getSeasonEvents } from "./api.js";
+import { extractSlug } from "./util.js";
+import { generateGraphic } from "./generategraphic.js";
+import { readCharacterCache, getCachedPlayer } from "./charactercache.js";
+import { readAliases, resolveAlias } from "./aliases.js";
+import {
+  DEFAULT_POINTS_TABLE,
+  parsePointsTable,
+  formatPointsTable,
+  readSeasons,
+  saveSeason,
+  deleteSeason,
+  readSeasonResults,
+  saveSeasonResult,
+  computeLeaderboard,
+} from "./season.js";
+
+// weeklies are well under this, so one standings page covers everyone who attended;
+// an event that fills the page is flagged, since anyone below it scores nothing
+const SEASON_STANDINGS_SIZE = 128;
+const LEADERBOARD_GRAPHIC_SIZES = [8, 16, 24];
+
+// Encapsulate the season leaderboard: define a season, fetch its events, rank players by points
+// and render the standings through the graphic renderer. getTheme() returns the current theme.
+export function createSeasonSection({ getTheme }) {
+  // ============================================
+  // SEASON LEADERBOARD UI CREATION
+  // ============================================
+  const seasonSection = document.createElement("section");
+  seasonSection.id = "season-section";
+  seasonSection.className = "season-section";
+
+  const details = document.createElement("details");
+  seasonSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Season Leaderboard";
+  details.appendChild(summary);
+
+  const seasonRow = document.createElement("fieldset");
+  seasonRow.role = "group";
+  details.appendChild(seasonRow);
+
+  const seasonSelect = document.createElement("select");
+  seasonSelect.id = "season-select";
+  seasonRow.appendChild(seasonSelect);
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.className = "secondary";
+  deleteBtn.textContent = "Delete";
+  seasonRow.appendChild(deleteBtn);
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.placeholder = "Season name, e.g. Abbey Fall 2025";
+  details.appendChild(nameInput);
+
+  const modeLabel = document.createElement("label");
+  modeLabel.textContent = "Events";
+  const modeSelect = document.createElement("select");
+  [
+    ["list", "List of event URLs"],
+    ["range", "Tournaments in a date range"],
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    modeSelect.appendChild(opt);
+  });
+  modeLabel.appendChild(modeSelect);
+  details.appendChild(modeLabel);
+
+  const eventsInput = document.createElement("textarea");
+  eventsInput.rows = 5;
+  eventsInput.placeholder = "One start.gg event URL or tournament/.../event/... per line";
+  details.appendChild(eventsInput);
+
+  const rangeOptions = document.createElement("div");
+  rangeOptions.className = "season-range-options";
+  details.appendChild(rangeOptions);
+
+  const searchInput = document.createElement("input");
+  searchInput.type = "text";
+  searchInput.placeholder = "Tournament name contains, e.g. Abbey";
+  rangeOptions.appendChild(searchInput);
+
+  const fromInput = document.createElement("input");
+  fromInput.type = "date";
+  fromInput.title = "From";
+  rangeOptions.appendChild(fromInput);
+
+  const toInput = document.createElement("input");
+  toInput.type = "date";
+  toInput.title = "To";
+  rangeOptions.appendChild(toInput);
+
+  const pointsLabel = document.createElement("label");
+  pointsLabel.textContent = "Points by placement (placement:points)";
+  const pointsInput = document.createElement("input");
+  pointsInput.type = "text";
+  pointsInput.value = formatPointsTable(DEFAULT_POINTS_TABLE);
+  pointsLabel.appendChild(pointsInput);
+  details.appendChild(pointsLabel);
+
+  const actions = document.createElement("div");
+  actions.className = "newsletter-actions";
+  details.appendChild(actions);
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "secondary";
+  saveBtn.textContent = "Save Season";
+  actions.appendChild(saveBtn);
+
+  const rankBtn = document.createElement("button");
+  rankBtn.type = "button";
+  rankBtn.textContent = "Fetch & Rank";
+  actions.appendChild(rankBtn);
+
+  const refreshLabel = document.createElement("label");
+  const refreshCheckbox = document.createElement("input");
+  refreshCheckbox.type = "checkbox";
+  refreshLabel.appendChild(refreshCheckbox);
+  refreshLabel.appendChild(document.createTextNode("Refetch saved events"));
+  details.appendChild(refreshLabel);
+
+  const seasonStatus = document.createElement("div");
+  seasonStatus.className = "cache-status";
+  details.appendChild(seasonStatus);
+
+  const eventsTable = document.createElement("table");
+  eventsTable.className = "season-events-table";
+  eventsTable.innerHTML = "<thead><tr><th>Event</th><th>Date</th><th>Entrants</th></tr></thead>";
+  const eventsBody = document.createElement("tbody");
+  eventsTable.appendChild(eventsBody);
+  eventsTable.style.display = "none";
+  details.appendChild(eventsTable);
+
+  const leaderboardTable = document.createElement("table");
+  leaderboardTable.className = "season-leaderboard-table";
+  leaderboardTable.innerHTML =
+    "<thead><tr><th>#</th><th>Player</th><th>Points</th><th>Events</th><th>Best</th></tr></thead>";
+  const leaderboardBody = document.createElement("tbody");
+  leaderboardTable.appendChild(leaderboardBody);
+  leaderboardTable.style.display = "none";
+  details.appendChild(leaderboardTable);
+
+  const graphicRow = document.createElement("fieldset");
+  graphicRow.role = "group";
+  graphicRow.style.display = "none";
+  details.appendChild(graphicRow);
+
+  const graphicSizeSelect = document.createElement("select");
+  LEADERBOARD_GRAPHIC_SIZES.forEach((size) => {
+    const opt = document.createElement("option");
+    opt.value = String(size);
+    opt.textContent = `Top ${size}`;
+    graphicSizeSelect.appendChild(opt);
+  });
+  graphicRow.appendChild(graphicSizeSelect);
+
+  const graphicBtn = document.createElement("button");
+  graphicBtn.type = "button";
+  graphicBtn.textContent = "Generate Leaderboard Graphic";
+  graphicRow.appendChild(graphicBtn);
+
+  const seasonGraphicArea = document.createElement("div");
+  seasonGraphicArea.id = "season-graphic-area";
+  details.appendChild(seasonGraphicArea);
+
+  // ============================================
+  // SEASON LEADERBOARD EVENT LISTENERS
+  // ============================================
+
+  let leaderboard = [];
+
+  const populateSeasons = (selectedKey = "") => {
+    seasonSelect.innerHTML = "";
+    const newOpt = document.createElement("option");
+    newOpt.value = "";
+    newOpt.textContent = "New season";
+    seasonSelect.appendChild(newOpt);
+    Object.entries(readSeasons()).forEach(([key, season]) => {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = season.name;
+      seasonSelect.appendChild(opt);
+    });
+    seasonSelect.value = selectedKey;
+    deleteBtn.disabled = !selectedKey;
+  };
+
+  const updateModeFields = () => {
+    const range = modeSelect.value === "range";
+    eventsInput.style.display = range ? "none" : "block";
+    rangeOptions.style.display = range ? "grid" : "none";
+  };
+
+  const loadSeason = (season) => {
+    nameInput.value = season?.name || "";
+    modeSelect.value = season?.mode || "list";
+    eventsInput.value = (season?.events || []).join("\n");
+    searchInput.value = season?.search || "";
+    fromInput.value = season?.from || "";
+    toInput.value = season?.to || "";
+    pointsInput.value = formatPointsTable(season?.points || DEFAULT_POINTS_TABLE);
+    updateModeFields();
+  };
+
+  // throws on an invalid points table so nothing half-valid gets saved
+  const readForm = () => ({
+    name: nameInput.value.trim(),
+    mode: modeSelect.value,
+    events: eventsInput.value
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map(extractSlug),
+    search: searchInput.value.trim(),
+    from: fromInput.value,
+    to: toInput.value,
+    points: parsePointsTable(pointsInput.value),
+  });
+
+  // the season's events as [{ slug, tournamentName, eventName, startAt }]; a list of slugs
+  // leaves the details null until the standings query fills them in
+  const resolveEvents = async (season) => {
+    if (season.mode !== "range") {
+      return season.events.map((slug) => ({ slug, tournamentName: null, eventName: null, startAt: null }));
+    }
+    if (!season.search || !season.from || !season.to) {
+      throw new Error("A date range season needs a tournament name and both dates.");
+    }
+    return getSeasonEvents({
+      name: season.search,
+      after: new Date(`${season.from}T00:00:00`),
+      before: new Date(`${season.to}T23:59:59`),
+    });
+  };
+
+  const renderLeaderboard = (results) => {
+    eventsBody.innerHTML = "";
+    results.forEach((r) => {
+      const row = eventsBody.insertRow();
+      row.insertCell().textContent = r.tournamentName || r.slug;
+      row.insertCell().textContent = r.startAt
+        ? new Date(r.startAt * 1000).toLocaleDateString("en-US")
+        : "—";
+      row.insertCell().textContent = String(r.standings.length);
+    });
+    eventsTable.style.display = "table";
+
+    leaderboardBody.innerHTML = "";
+    leaderboard.forEach((p) => {
+      const row = leaderboardBody.insertRow();
+      row.insertCell().textContent = String(p.rank);
+      row.insertCell().textContent = p.name;
+      row.insertCell().textContent = String(p.points);
+      row.insertCell().textContent = `${p.attended}/${results.length}`;
+      row.insertCell().textContent = String(p.best);
+    });
+    leaderboardTable.style.display = "table";
+    graphicRow.style.display = leaderboard.length ? "flex" : "none";
+  };
+
+  seasonSelect.addEventListener("change", () => {
+    loadSeason(readSeasons()[seasonSelect.value]);
+    deleteBtn.disabled = !seasonSelect.value;
+  });
+
+  modeSelect.addEventListener("change", updateModeFields);
+
+  saveBtn.addEventListener("click", () => {
+    try {
+      const key = saveSeason(readForm());
+      populateSeasons(key);
+      seasonStatus.textContent = `Saved "${nameInput.value.trim()}".`;
+    } catch (err) {
+      seasonStatus.textContent = err.message;
+    }
+  });
+
+  deleteBtn.addEventListener("click", () => {
+    if (!seasonSelect.value) return;
+    deleteSeason(seasonSelect.value);
+    populateSeasons();
+    loadSeason(null);
+    seasonStatus.textContent = "Season deleted.";
+  });
+
+  rankBtn.addEventListener("click", async () => {
+    rankBtn.disabled = true;
+    rankBtn.ariaBusy = "true";
+    seasonGraphicArea.innerHTML = "";
+    try {
+      const season = readForm();
+      const events = await resolveEvents(season);
+      if (!events.length) throw new Error("No events found for this season.");
+
+      // events already fetched are reused unless a refresh is asked for
+      const saved = readSeasonResults();
+      const results = [];
+      const warnings = [];
+      for (const [i, event] of events.entries()) {
+        let result = refreshCheckbox.checked ? null : saved[event.slug];
+        if (!result) {
+          seasonStatus.textContent = `Fetching ${i + 1}/${events.length}: ${event.slug}`;
+          const { state, standings: nodes, ...details } = await getEventStandings(
+            event.slug,
+            SEASON_STANDINGS_SIZE,
+            { refresh: refreshCheckbox.checked }
+          );
+          result = {
+            ...event,
+            tournamentName: event.tournamentName ?? details.tournamentName,
+            eventName: event.eventName ?? details.eventName,
+            startAt: event.startAt ?? details.startAt,
+            standings: nodes.map((n) => {
+              const participant = n.entrant?.participants?.[0];
+              return {
+                placement: n.placement,
+                playerId: participant?.player?.id ?? null,
+                tag: participant?.gamerTag || n.entrant?.name || "Unknown",
+              };
+            }),
+          };
+          // standings can still change until the event is completed, so those are refetched next time
+          if (state === "COMPLETED") {
+            saveSeasonResult(result);
+          } else {
+            warnings.push(`${event.slug} isn't completed yet; its standings may change.`);
+          }
+        }
+        if (result.standings.length >= SEASON_STANDINGS_SIZE) {
+          warnings.push(
+            `${event.slug} filled all ${SEASON_STANDINGS_SIZE} standings fetched; anyone placed below them scores no points.`
+          );
+        }
+        results.push(result);
+      }
+
+      const aliases = readAliases();
+      leaderboard = computeLeaderboard(results, season.points).map((p) => ({
+        ...p,
+        name: resolveAlias(p.name, aliases),
+      }));
+      renderLeaderboard(results);
+      seasonStatus.textContent = [
+        `${results.length} events, ${leaderboard.length} players.`,
+        ...warnings,
+      ].join(" ");
+    } catch (err) {
+      console.error(err);
+      seasonStatus.textContent = `Could not rank season: ${err.message}`;
+    } finally {
+      rankBtn.disabled = false;
+      rankBtn.ariaBusy = "false";
+    }
+  });
+
+  graphicBtn.addEventListener("click", async () => {
+    const cache = readCharacterCache();
+    const size = Number(graphicSizeSelect.value);
+    // players tied on points at the cutoff make it in together
+    const cutoff = leaderboard[size - 1]?.points;
+    const entries = leaderboard
+      .filter((p, i) => i < size || p.points === cutoff)
+      .map((p) => {
+        const playerId = p.key.startsWith("player:") ? p.key.slice("player:".length) : null;
+        const { characters, costumes } = getCachedPlayer(cache, p.name, playerId);
+        return {
+          place: String(p.rank),
+          name: p.name,
+          character: characters[0],
+          characters,
+          costumes,
+          marker: `${p.points} pts`,
+          icons: [],
+        };
+      });
+
+    seasonGraphicArea.innerHTML = "Generating...";
+    try {
+      const canvas = await generateGraphic(entries, {
+        theme: getTheme(),
+        headerText: nameInput.value.trim() || "Season Standings",
+      });
+      seasonGraphicArea.innerHTML = "";
+      seasonGraphicArea.appendChild(canvas);
+
+      const copyBtn = document.createElement("button");
+      copyBtn.textContent = "Copy to Clipboard";
+      copyBtn.className = "copy-btn";
+      copyBtn.onclick = () => {
+        canvas.toBlob((blob) => {
+          navigator.clipboard
+            .write([new ClipboardItem({ "image/png": blob })])
+            .then(() => {
+              copyBtn.textContent = "Copied!";
+              setTimeout(() => (copyBtn.textContent = "Copy to Clipboard"), 2000);
+            });
+        });
+      };
+      seasonGraphicArea.appendChild(copyBtn);
+    } catch (err) {
+      console.error(err);
+      seasonGraphicArea.innerText = "Error generating graphic: " + err.message;
+    }
+  });
+
+  populateSeasons();
+  loadSeason(null);
+
+  return seasonSection; // Return the created section
+}
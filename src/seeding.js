@@ -0,0 +1,93 @@
+import { cleanName } from "./util.js";
+
+// Seed and placement analysis for double elimination brackets.
+// Placements come in tiers (1, 2, 3, 4, 5, 7, 9, 13, 17, 25, ...); a seed is
+// expected to finish in the tier it falls in, so comparing tier indexes gives
+// both the upset factor of a set and each player's seed performance.
+
+// placement tiers up to (at least) the given number
+function placementTiers(max) {
+  const tiers = [1, 2, 3, 4];
+  let step = 1;
+  while (tiers[tiers.length - 1] <= max) {
+    const next = tiers[tiers.length - 1] + step;
+    tiers.push(next, next + step * 2);
+    step *= 2;
+  }
+  return tiers;
+}
+
+// index of the tier a seed or placement falls in (0 for 1st, 4 for 5th/6th, 6 for 9th-12th...)
+export function tierIndex(value) {
+  const tiers = placementTiers(value);
+  let index = 0;
+  while (index + 1 < tiers.length && tiers[index + 1] <= value) index++;
+  return index;
+}
+
+// "▲3" for an overperformance by three tiers, "▼1" for an underperformance, "" when on seed
+export function formatPerformance(performance) {
+  if (!performance) return "";
+  return `${performance > 0 ? "▲" : "▼"}${Math.abs(performance)}`;
+}
+
+// sets that were actually played (DQs don't count as upsets)
+function playedSets(sets) {
+  return sets.filter(
+    (set) =>
+      set.winnerId &&
+      set.slots?.length === 2 &&
+      !(set.displayScore || "").toLowerCase().includes("dq")
+  );
+}
+
+// Every win over a better seed, biggest upset factor first.
+// Returns [{ winner, loser, winnerSeed, loserSeed, round, displayScore, factor }]
+export function computeUpsets(sets) {
+  const upsets = [];
+  for (const set of playedSets(sets)) {
+    const winnerSlot = set.slots.find((s) => String(s.entrant?.id) === String(set.winnerId));
+    const loserSlot = set.slots.find((s) => s !== winnerSlot);
+    const winnerSeed = winnerSlot?.seed?.seedNum;
+    const loserSeed = loserSlot?.seed?.seedNum;
+    if (!winnerSeed || !loserSeed || winnerSeed <= loserSeed) continue;
+
+    const factor = tierIndex(winnerSeed) - tierIndex(loserSeed);
+    if (factor <= 0) continue; // same tier: expected to be close, not an upset
+    upsets.push({
+      winner: cleanName(winnerSlot.entrant?.name),
+      loser: cleanName(loserSlot.entrant?.name),
+      winnerSeed,
+      loserSeed,
+      round: set.fullRoundText || "",
+      displayScore: set.displayScore || "",
+      factor,
+    });
+  }
+  return upsets.sort((a, b) => b.factor - a.factor || a.winnerSeed - b.winnerSeed);
+}
+
+// Seed vs placement for every entrant that appears in the sets, best placement first.
+// performance > 0 means the player finished better than seeded.
+// Returns [{ entrantId, name, seed, placement, performance }]
+export function computeSeedPerformance(sets) {
+  const byEntrant = new Map();
+  for (const set of sets) {
+    for (const slot of set.slots ?? []) {
+      const entrant = slot.entrant;
+      const seed = slot.seed?.seedNum;
+      const placement = entrant?.standing?.placement;
+      if (!entrant?.id || !seed || !placement) continue;
+      byEntrant.set(String(entrant.id), {
+        entrantId: String(entrant.id),
+        name: cleanName(entrant.name),
+        seed,
+        placement,
+        performance: tierIndex(seed) - tierIndex(placement),
+      });
+    }
+  }
+  return [...byEntrant.values()].sort(
+    (a, b) => a.placement - b.placement || a.seed - b.seed
+  );
+}
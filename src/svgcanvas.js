@@ -0,0 +1,148 @@
+// A canvas stand-in that records the 2D drawing calls generateGraphic makes and turns
+// them into SVG, so the same layout code produces a vector export:
+//   const canvas = await generateGraphic(entries, { createCanvas: createSvgCanvas, pixelRatio: 1 });
+//   const svg = canvas.toSVG();
+// Only the subset of the context API generateGraphic uses is supported: fillRect,
+// linear gradients, fillText/measureText, drawImage, globalAlpha, translate and scale.
+// Images are embedded as PNG data URLs, text stays text (in the theme's font).
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const TEXT_ANCHORS = { left: "start", start: "start", center: "middle", right: "end", end: "end" };
+const BASELINES = {
+  top: "text-before-edge",
+  hanging: "hanging",
+  middle: "central",
+  alphabetic: "alphabetic",
+  bottom: "text-after-edge",
+};
+
+// canvas font shorthand ("700 44px Roboto Slab, serif") as SVG font attributes, which more
+// SVG viewers understand than a CSS font shorthand
+function fontAttrs(font) {
+  const match = font.match(/^(?:(italic|oblique)\s+)?(?:(normal|bold|\d{3})\s+)?([\d.]+)px\s+(.+)$/);
+  if (!match) return ` style="font: ${escapeXml(font)}"`;
+  const [, style, weight, size, family] = match;
+  return (
+    ` font-family="${escapeXml(family)}" font-size="${size}"` +
+    (weight ? ` font-weight="${weight}"` : "") +
+    (style ? ` font-style="${style}"` : "")
+  );
+}
+
+// images drawn more than once (the same icon on several rows) are encoded once
+const imageDataUrls = new WeakMap();
+
+function imageDataUrl(img) {
+  if (!imageDataUrls.has(img)) {
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth || img.width;
+    canvas.height = img.naturalHeight || img.height;
+    canvas.getContext("2d").drawImage(img, 0, 0);
+    imageDataUrls.set(img, canvas.toDataURL("image/png"));
+  }
+  return imageDataUrls.get(img);
+}
+
+function createSvgContext(elements, defs) {
+  // text is measured with a real canvas so the layout matches the PNG export
+  const measureCtx = document.createElement("canvas").getContext("2d");
+  // only translate and scale are used, so the transform is [scaleX, scaleY, translateX, translateY]
+  let transform = [1, 1, 0, 0];
+  let gradientCount = 0;
+
+  const transformAttr = () => {
+    const [sx, sy, tx, ty] = transform;
+    return sx === 1 && sy === 1 && tx === 0 && ty === 0
+      ? ""
+      : ` transform="matrix(${sx} 0 0 ${sy} ${tx} ${ty})"`;
+  };
+
+  const ctx = {
+    fillStyle: "#000",
+    globalAlpha: 1,
+    font: "10px sans-serif",
+    textAlign: "start",
+    textBaseline: "alphabetic",
+
+    translate(x, y) {
+      const [sx, sy, tx, ty] = transform;
+      transform = [sx, sy, tx + sx * x, ty + sy * y];
+    },
+    scale(x, y) {
+      const [sx, sy, tx, ty] = transform;
+      transform = [sx * x, sy * y, tx, ty];
+    },
+
+    // the export starts transparent, and the graphic only clears before drawing anything
+    clearRect() {},
+
+    createLinearGradient(x0, y0, x1, y1) {
+      const id = `gradient-${++gradientCount}`;
+      const stops = [];
+      defs.push(() =>
+        `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x0}" y1="${y0}" x2="${x1}" y2="${y1}">${stops
+          .map((s) => `<stop offset="${s.offset}" stop-color="${escapeXml(s.color)}"/>`)
+          .join("")}</linearGradient>`
+      );
+      return {
+        svgFill: `url(#${id})`,
+        addColorStop: (offset, color) => stops.push({ offset, color }),
+      };
+    },
+
+    fillRect(x, y, width, height) {
+      elements.push(
+        `<rect x="${x}" y="${y}" width="${width}" height="${height}"${fillAttrs()}${transformAttr()}/>`
+      );
+    },
+
+    measureText(text) {
+      measureCtx.font = ctx.font;
+      return measureCtx.measureText(text);
+    },
+
+    fillText(text, x, y) {
+      elements.push(
+        `<text x="${x}" y="${y}"${fontAttrs(ctx.font)} xml:space="preserve" text-anchor="${
+          TEXT_ANCHORS[ctx.textAlign] ?? "start"
+        }" dominant-baseline="${BASELINES[ctx.textBaseline] ?? "alphabetic"}"${fillAttrs()}${transformAttr()}>${escapeXml(
+          text
+        )}</text>`
+      );
+    },
+
+    drawImage(img, x, y, width = img.width, height = img.height) {
+      elements.push(
+        // xlink:href rather than href so older editors (Inkscape, Illustrator) see the image too
+        `<image xlink:href="${imageDataUrl(img)}" x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="none"${opacityAttr()}${transformAttr()}/>`
+      );
+    },
+  };
+
+  const opacityAttr = () => (ctx.globalAlpha === 1 ? "" : ` opacity="${ctx.globalAlpha}"`);
+  const fillAttrs = () =>
+    ` fill="${escapeXml(ctx.fillStyle?.svgFill ?? ctx.fillStyle)}"${opacityAttr()}`;
+
+  return ctx;
+}
+
+export function createSvgCanvas(width, height) {
+  const elements = [];
+  const defs = [];
+  let ctx = null;
+  return {
+    width,
+    height,
+    getContext: () => (ctx ??= createSvgContext(elements, defs)),
+    toSVG() {
+      const defsMarkup = defs.length ? `<defs>${defs.map((d) => d()).join("")}</defs>` : "";
+      return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${defsMarkup}${elements.join("")}</svg>`;
+    },
+  };
+}
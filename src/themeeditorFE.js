@@ -0,0 +1,241 @@
+import { generateGraphic } from "./generategraphic.js";
+import {
+  DEFAULT_THEME_ID,
+  getThemes,
+  getTheme,
+  isCustomTheme,
+  saveCustomTheme,
+  deleteCustomTheme,
+  resolveHeaderText,
+} from "./themes.js";
+
+const SELECTED_THEME_KEY = "selected-theme";
+
+// Encapsulate the theme editor section: pick a theme, tweak it, preview it and save custom themes.
+// onThemeChange(theme) fires with the edited theme whenever a field changes.
+// getPreviewEntries() returns { entries, size } to draw the preview with.
+export function createThemeEditorSection({ onThemeChange, getPreviewEntries }) {
+  // ============================================
+  // THEME EDITOR UI CREATION
+  // ============================================
+  const themeSection = document.createElement("section");
+  themeSection.id = "theme-editor-section";
+  themeSection.className = "theme-editor-section";
+
+  const details = document.createElement("details");
+  themeSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Graphic Theme";
+  details.appendChild(summary);
+
+  const themeSelect = document.createElement("select");
+  themeSelect.id = "theme-select";
+  details.appendChild(themeSelect);
+
+  const form = document.createElement("div");
+  form.className = "theme-editor-grid";
+  details.appendChild(form);
+
+  // each field maps a theme property to an input
+  const fields = {};
+  const addField = (key, labelText, type, attrs = {}) => {
+    const label = document.createElement("label");
+    label.textContent = labelText;
+    const input = document.createElement(type === "select" ? "select" : "input");
+    if (type !== "select") input.type = type;
+    Object.assign(input, attrs);
+    label.appendChild(input);
+    form.appendChild(label);
+    fields[key] = input;
+    return input;
+  };
+
+  addField("headerText", "Header text", "text", { placeholder: "Top {size}" });
+  addField("textColor", "Text color", "color");
+  addField("fontFamily", "Font family", "text");
+  addField("textSize", "Text size", "number", { min: 12, max: 120 });
+  addField("headerSize", "Header size", "number", { min: 12, max: 200 });
+  addField("rowHeight", "Row height", "number", { min: 20, max: 200 });
+  addField("iconSize", "Icon size", "number", { min: 16, max: 200 });
+  addField("padding", "Padding", "number", { min: 0, max: 200 });
+
+  const bgType = addField("backgroundType", "Background", "select");
+  [
+    ["transparent", "Transparent"],
+    ["color", "Color"],
+    ["gradient", "Gradient"],
+    ["image", "Image"],
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    bgType.appendChild(opt);
+  });
+  addField("backgroundColor", "Background color", "color");
+  addField("backgroundColor2", "Gradient end color", "color");
+  addField("backgroundImage", "Background image", "file", { accept: "image/*" });
+
+  const saveRow = document.createElement("fieldset");
+  saveRow.role = "group";
+  details.appendChild(saveRow);
+
+  const themeNameInput = document.createElement("input");
+  themeNameInput.type = "text";
+  themeNameInput.placeholder = "Custom theme name";
+  saveRow.appendChild(themeNameInput);
+
+  const saveThemeBtn = document.createElement("button");
+  saveThemeBtn.type = "button";
+  saveThemeBtn.textContent = "Save Theme";
+  saveRow.appendChild(saveThemeBtn);
+
+  const deleteThemeBtn = document.createElement("button");
+  deleteThemeBtn.type = "button";
+  deleteThemeBtn.className = "secondary";
+  deleteThemeBtn.textContent = "Delete";
+  saveRow.appendChild(deleteThemeBtn);
+
+  const themeStatus = document.createElement("div");
+  themeStatus.className = "theme-status";
+  details.appendChild(themeStatus);
+
+  const previewArea = document.createElement("div");
+  previewArea.id = "theme-preview-area";
+  details.appendChild(previewArea);
+
+  // ============================================
+  // THEME EDITOR STATE AND EVENT LISTENERS
+  // ============================================
+
+  let backgroundImage = null; // data URL of the chosen background image
+  let previewTimer = null;
+
+  const populateThemeSelect = (selectedId) => {
+    themeSelect.innerHTML = "";
+    Object.entries(getThemes()).forEach(([id, theme]) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = isCustomTheme(id) ? `${theme.name} (custom)` : theme.name;
+      themeSelect.appendChild(opt);
+    });
+    themeSelect.value = selectedId in getThemes() ? selectedId : DEFAULT_THEME_ID;
+  };
+
+  const fillFields = (theme) => {
+    fields.headerText.value = theme.headerText;
+    fields.textColor.value = theme.textColor;
+    fields.fontFamily.value = theme.fontFamily;
+    fields.textSize.value = theme.textSize;
+    fields.headerSize.value = theme.headerSize;
+    fields.rowHeight.value = theme.rowHeight;
+    fields.iconSize.value = theme.iconSize;
+    fields.padding.value = theme.padding;
+    fields.backgroundType.value = theme.background.type;
+    fields.backgroundColor.value = theme.background.color || "#ffffff";
+    fields.backgroundColor2.value = theme.background.color2 || "#ffffff";
+    fields.backgroundImage.value = "";
+    backgroundImage = theme.background.image || null;
+    deleteThemeBtn.disabled = !isCustomTheme(themeSelect.value);
+  };
+
+  // read the current field values back into a theme object
+  const readTheme = () => {
+    const base = getTheme(themeSelect.value);
+    const number = (input, fallback) => Number(input.value) || fallback;
+    return {
+      ...base,
+      headerText: fields.headerText.value,
+      textColor: fields.textColor.value,
+      fontFamily: fields.fontFamily.value.trim() || base.fontFamily,
+      textSize: number(fields.textSize, base.textSize),
+      headerSize: number(fields.headerSize, base.headerSize),
+      rowHeight: number(fields.rowHeight, base.rowHeight),
+      iconSize: number(fields.iconSize, base.iconSize),
+      padding: Math.max(0, Number(fields.padding.value) || 0),
+      background: {
+        type: fields.backgroundType.value,
+        color: fields.backgroundColor.value,
+        color2: fields.backgroundColor2.value,
+        image: backgroundImage,
+      },
+    };
+  };
+
+  const renderPreview = async () => {
+    const theme = readTheme();
+    const { entries, size } = getPreviewEntries();
+    try {
+      await document.fonts.load(`${theme.headerSize}px ${theme.fontFamily}`);
+      const canvas = await generateGraphic(
+        entries.map((e) => ({ ...e })),
+        { theme, headerText: resolveHeaderText(theme, size) }
+      );
+      canvas.style.maxWidth = "100%";
+      canvas.style.height = "auto";
+      previewArea.innerHTML = "";
+      previewArea.appendChild(canvas);
+    } catch (err) {
+      console.error(err);
+      previewArea.innerText = "Error previewing theme: " + err.message;
+    }
+  };
+
+  // debounce so typing in a field doesn't redraw on every keystroke
+  const handleChange = () => {
+    onThemeChange(readTheme());
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      if (details.open) renderPreview();
+    }, 250);
+  };
+
+  const selectTheme = (id) => {
+    populateThemeSelect(id);
+    localStorage.setItem(SELECTED_THEME_KEY, themeSelect.value);
+    fillFields(getTheme(themeSelect.value));
+    handleChange();
+  };
+
+  themeSelect.addEventListener("change", () => selectTheme(themeSelect.value));
+  form.addEventListener("input", handleChange);
+  details.addEventListener("toggle", () => {
+    if (details.open) renderPreview();
+  });
+
+  fields.backgroundImage.addEventListener("change", () => {
+    const file = fields.backgroundImage.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      backgroundImage = e.target.result;
+      fields.backgroundType.value = "image";
+      handleChange();
+    };
+    reader.readAsDataURL(file);
+  });
+
+  saveThemeBtn.addEventListener("click", () => {
+    const name = themeNameInput.value.trim() || getTheme(themeSelect.value).name;
+    try {
+      const id = saveCustomTheme(name, readTheme());
+      themeNameInput.value = "";
+      themeStatus.textContent = `Saved "${name}".`;
+      selectTheme(id);
+    } catch (err) {
+      console.error(err);
+      themeStatus.textContent = `Could not save theme: ${err.message}`;
+    }
+  });
+
+  deleteThemeBtn.addEventListener("click", () => {
+    if (!isCustomTheme(themeSelect.value)) return;
+    deleteCustomTheme(themeSelect.value);
+    themeStatus.textContent = "Theme deleted.";
+    selectTheme(DEFAULT_THEME_ID);
+  });
+
+  selectTheme(localStorage.getItem(SELECTED_THEME_KEY) || DEFAULT_THEME_ID);
+
+  return themeSection; // Return the created section
+}
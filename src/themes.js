@@ -0,0 +1,103 @@
+// Named looks for generateGraphic. "{size}" in headerText is replaced with the bracket size.
+const CUSTOM_THEMES_KEY = "graphic-themes";
+
+export const DEFAULT_THEME_ID = "newsletter";
+
+export const BUILT_IN_THEMES = {
+  newsletter: {
+    name: "Newsletter",
+    headerText: "Top {size}",
+    textColor: "#523d30",
+    fontFamily: "Roboto Slab, serif",
+    fontWeight: 700,
+    textSize: 44,
+    headerSize: 72,
+    rowHeight: 70,
+    iconSize: 60,
+    padding: 0,
+    background: { type: "transparent" },
+  },
+  tavern: {
+    name: "Tavern Night",
+    headerText: "Top {size}",
+    textColor: "#f5e6c8",
+    fontFamily: "Roboto Slab, serif",
+    fontWeight: 700,
+    textSize: 44,
+    headerSize: 72,
+    rowHeight: 70,
+    iconSize: 60,
+    padding: 32,
+    background: { type: "gradient", color: "#3b2a1f", color2: "#120c08" },
+  },
+  parchment: {
+    name: "Parchment",
+    headerText: "Top {size}",
+    textColor: "#3a2a1e",
+    fontFamily: "Georgia, serif",
+    fontWeight: 700,
+    textSize: 40,
+    headerSize: 64,
+    rowHeight: 64,
+    iconSize: 52,
+    padding: 32,
+    background: { type: "color", color: "#f3e7cf" },
+  },
+};
+
+// fill any fields an older or hand-edited theme is missing from the newsletter theme
+export function normalizeTheme(theme) {
+  const base = BUILT_IN_THEMES[DEFAULT_THEME_ID];
+  return {
+    ...base,
+    ...theme,
+    background: { ...base.background, ...theme?.background },
+  };
+}
+
+export function readCustomThemes() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY) || "{}");
+  } catch (e) {
+    console.warn("Invalid custom themes, ignoring.", e);
+    return {};
+  }
+}
+
+// built-in themes first, then custom ones (ids prefixed with "custom:")
+export function getThemes() {
+  const themes = { ...BUILT_IN_THEMES };
+  Object.entries(readCustomThemes()).forEach(([id, theme]) => {
+    themes[`custom:${id}`] = normalizeTheme(theme);
+  });
+  return themes;
+}
+
+export function getTheme(id) {
+  return getThemes()[id] || BUILT_IN_THEMES[DEFAULT_THEME_ID];
+}
+
+export function isCustomTheme(id) {
+  return id.startsWith("custom:");
+}
+
+// returns the id the theme was stored under
+export function saveCustomTheme(name, theme) {
+  const key = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  if (!key) throw new Error("Theme name is required.");
+  const themes = readCustomThemes();
+  themes[key] = { ...theme, name: name.trim() };
+  // background images are stored inline as data URLs, which can exceed the quota
+  localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(themes));
+  return `custom:${key}`;
+}
+
+export function deleteCustomTheme(id) {
+  const themes = readCustomThemes();
+  delete themes[id.replace(/^custom:/, "")];
+  localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(themes));
+}
+
+export function resolveHeaderText(theme, size) {
+  return (theme.headerText || "Top {size}").replace(/\{size\}/g, String(size));
+}
@@ -1,46 +1,106 @@
 import "./index.css";
-import { cleanName } from "./util.js";
-import { getTop8, getEventStats} from "./api.js";
+import { splitSponsor, formatPlacement, tiedPlacements, formatEventDate, downloadBlob } from "./util.js";
+import { getEventResults, getEntrantCharacters, StartggNotFoundError } from "./api.js";
 import { generateGraphic } from "./generategraphic.js";
 import { createHslFilterSection } from "./imagefilterFE.js";
+import {
+  readCharacterCache,
+  getCachedPlayer,
+  saveCharactersToCache,
+} from "./charactercache.js";
+import { DEFAULT_COSTUME, MELEE_CHARACTERS } from "./icon.js";
+import { createThemeEditorSection } from "./themeeditorFE.js";
+import { createCharacterCacheSection } from "./charactercacheFE.js";
+import { createResponseCacheSection } from "./responsecacheFE.js";
+import { readAliases, resolveAlias } from "./aliases.js";
+import { createAliasSection } from "./aliasesFE.js";
+import { createNewsletterSection } from "./newsletterFE.js";
+import { createUpsetSection } from "./upsetsFE.js";
+import { createBracketSection } from "./bracketFE.js";
+import { createSeasonSection } from "./seasonFE.js";
+import { createEventPickerSection } from "./eventpickerFE.js";
+import { createManualEntrySection } from "./manualentryFE.js";
+import { getFixtureMode, exportRecordedFixtures, recordedFixtureCount } from "./fixtures.js";
+import { computeSeedPerformance, formatPerformance } from "./seeding.js";
+import { BUILT_IN_THEMES, DEFAULT_THEME_ID, resolveHeaderText } from "./themes.js";
+import {
+  EXPORT_SCALES,
+  EXPORT_FORMATS,
+  readExportSettings,
+  saveExportSettings,
+  exportFileName,
+  canvasToBlob,
+  renderSvgBlob,
+} from "./graphicexport.js";
 
 const STARTGG_URL = "";
 const SHOW_TEST_BUTTON = false;
 
-const MELEE_CHARACTERS = [
-  "Fox",
-  "Falco",
-  "Marth",
-  "Sheik",
-  "Peach",
-  "Jigglypuff",
-  "Captain Falcon",
-  "Donkey Kong",
-  "Ice Climbers",
-  "Luigi",
-  "Yoshi",
-  "Mario",
-  "Samus",
-  "Ganondorf",
-  "Young Link",
-  "Link",
-  "Bowser",
-  "Pikachu",
-  "Roy",
-  "Mr. Game & Watch",
-  "Ness",
-  "Mewtwo",
-  "Pichu",
-  "Dr. Mario",
-  "Kirby",
-  "Zelda",
+const BRACKET_SIZES = [4, 8, 16, 24];
+const DEFAULT_BRACKET_SIZE = 8;
+
+// dummy data for the test button and theme previews
+const SAMPLE_ENTRIES = [
+  { place: "1", name: "Lucky", character: "Fox", icon: null },
+  { place: "2", name: "Mango", character: "Falco", icon: null },
+  { place: "3", name: "Mew2King", character: "Marth", icon: null },
+  { place: "4", name: "PPMD", character: "Sheik", icon: null },
+  { place: "5", name: "Armada", character: "Peach", icon: null },
+  { place: "6", name: "Hbox", character: "Jigglypuff", icon: null },
+  { place: "7", name: "Wizzrobe", character: "Captain Falcon", icon: null },
+  { place: "8", name: "Axe", character: "Pikachu", icon: null },
 ];
 
+// theme currently set up in the theme editor
+let currentTheme = BUILT_IN_THEMES[DEFAULT_THEME_ID];
+
+// stats for the last fetched event (tournament name, date, attendance, grand finals)
+// used by the event card and the newsletter draft
+let lastEventStats = null;
+let lastEventUrl = null;
+const CARD_LOGO_KEY = "card-logo";
+const CARD_WATERMARK = "start.gg/abbey";
+
+// map a start.gg character name onto our list, ignoring case and punctuation
+function matchMeleeCharacter(name) {
+  const key = (n) => (n || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return MELEE_CHARACTERS.find((c) => key(c) === key(name)) || null;
+}
+
 // Custom font for graphic generation
 // We want to ensure Roboto Slab is loaded before graphic generation
 const ROBOTO_SLAB_FONT_FAMILY = "'Roboto Slab'";
 const fontLoadPromise = document.fonts.load(`44px ${ROBOTO_SLAB_FONT_FAMILY}`);
 
+// BANNER - offline fixture mode (?fixtures=replay|record or VITE_STARTGG_FIXTURES)
+const fixtureMode = getFixtureMode();
+if (fixtureMode) {
+  const fixtureBanner = document.createElement("div");
+  fixtureBanner.className = "fixture-banner";
+  fixtureBanner.textContent =
+    fixtureMode === "replay"
+      ? "Fixture mode: start.gg requests are answered from fixtures/startgg/, nothing is sent to start.gg."
+      : "Recording mode: start.gg responses are kept so they can be saved as a fixture. ";
+  if (fixtureMode === "record") {
+    const downloadFixturesBtn = document.createElement("button");
+    downloadFixturesBtn.type = "button";
+    downloadFixturesBtn.className = "secondary";
+    downloadFixturesBtn.textContent = "Download recording";
+    downloadFixturesBtn.addEventListener("click", () => {
+      if (!recordedFixtureCount()) {
+        alert("Nothing recorded yet, fetch an event first.");
+        return;
+      }
+      downloadBlob(
+        new Blob([exportRecordedFixtures()], { type: "application/json" }),
+        `startgg-fixture-${new Date().toISOString().slice(0, 10)}.json`
+      );
+    });
+    fixtureBanner.appendChild(downloadFixturesBtn);
+  }
+  document.body.appendChild(fixtureBanner);
+}
+
 // FIELDSET
 const fetchTop8Fieldset = document.createElement("fieldset");
 fetchTop8Fieldset.role = "group";
@@ -56,17 +116,181 @@ startggInput.placeholder =
 startggInput.value = STARTGG_URL; // prefill with example
 fetchTop8Fieldset.appendChild(startggInput);
 
+// SELECT - Bracket size (Top 4 / 8 / 16 / 24)
+const bracketSizeSelect = document.createElement("select");
+bracketSizeSelect.id = "bracket-size-select";
+bracketSizeSelect.title = "Bracket size";
+BRACKET_SIZES.forEach((size) => {
+  const opt = document.createElement("option");
+  opt.value = String(size);
+  opt.textContent = `Top ${size}`;
+  bracketSizeSelect.appendChild(opt);
+});
+bracketSizeSelect.value = String(DEFAULT_BRACKET_SIZE);
+fetchTop8Fieldset.appendChild(bracketSizeSelect);
+
 // BUTTON - Fetch Top 8
 const fetchTop8Btn = document.createElement("button");
 fetchTop8Btn.id = "fetch-top8-btn";
 fetchTop8Btn.textContent = "Fetch";
 fetchTop8Fieldset.appendChild(fetchTop8Btn);
 
+// BUTTON - Refresh: fetch again from start.gg, skipping the response cache
+const refreshTop8Btn = document.createElement("button");
+refreshTop8Btn.id = "refresh-top8-btn";
+refreshTop8Btn.className = "secondary";
+refreshTop8Btn.textContent = "Refresh";
+refreshTop8Btn.title = "Fetch from start.gg again instead of the saved copy of a completed event";
+fetchTop8Fieldset.appendChild(refreshTop8Btn);
+
+// PICKER - recent events; the latest completed singles event is filled in unless something was typed
+const eventPickerSection = createEventPickerSection({
+  onPick: (slug, { fetch }) => {
+    if (!fetch && startggInput.value.trim()) return;
+    startggInput.value = slug;
+    if (fetch) fetchTop8Btn.click();
+  },
+});
+fetchTop8Fieldset.before(eventPickerSection);
+
 // WARN / STATUS AREA and RESULTS CONTAINER
 const container = document.createElement("div");
 container.id = "top8-container";
 document.body.appendChild(container);
 
+// MANUAL ENTRY - pasted or blank rows for events that aren't on start.gg
+const manualEntrySection = createManualEntrySection({
+  matchCharacter: matchMeleeCharacter,
+  onEntries: (entries) => showManualRows(entries),
+});
+fetchTop8Fieldset.after(manualEntrySection);
+
+// GRAPHIC OPTIONS - sponsor display, event card layout and its logo
+const graphicOptions = document.createElement("div");
+graphicOptions.className = "graphic-options";
+graphicOptions.style.display = "none"; // shown alongside the generate button
+document.body.appendChild(graphicOptions);
+
+const sponsorLabel = document.createElement("label");
+sponsorLabel.className = "option-label";
+sponsorLabel.textContent = "Sponsor tags: ";
+const sponsorSelect = document.createElement("select");
+sponsorSelect.id = "sponsor-display-select";
+[
+  ["hide", "Hide"],
+  ["show", "Show"],
+  ["light", "Show, lighter"],
+].forEach(([value, text]) => {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = text;
+  sponsorSelect.appendChild(opt);
+});
+sponsorLabel.appendChild(sponsorSelect);
+graphicOptions.appendChild(sponsorLabel);
+
+const cardLabel = document.createElement("label");
+cardLabel.className = "option-label";
+const cardCheckbox = document.createElement("input");
+cardCheckbox.type = "checkbox";
+cardCheckbox.id = "event-card-chk";
+cardLabel.appendChild(cardCheckbox);
+cardLabel.appendChild(document.createTextNode("Event card layout (name, date, attendance, logo)"));
+graphicOptions.appendChild(cardLabel);
+
+const cardLogoLabel = document.createElement("label");
+cardLogoLabel.className = "option-label";
+cardLogoLabel.textContent = "Logo: ";
+const cardLogoInput = document.createElement("input");
+cardLogoInput.type = "file";
+cardLogoInput.accept = "image/*";
+cardLogoLabel.appendChild(cardLogoInput);
+const clearLogoBtn = document.createElement("button");
+clearLogoBtn.type = "button";
+clearLogoBtn.className = "secondary";
+clearLogoBtn.textContent = "Clear logo";
+cardLogoLabel.appendChild(clearLogoBtn);
+graphicOptions.appendChild(cardLogoLabel);
+
+const markerLabel = document.createElement("label");
+markerLabel.className = "option-label";
+const markerCheckbox = document.createElement("input");
+markerCheckbox.type = "checkbox";
+markerCheckbox.id = "seed-marker-chk";
+markerLabel.appendChild(markerCheckbox);
+markerLabel.appendChild(document.createTextNode("Seed performance markers (▲ beat seed, ▼ below seed)"));
+graphicOptions.appendChild(markerLabel);
+
+// export scale is fixed rather than following the screen's devicePixelRatio
+const exportSettings = readExportSettings();
+const exportLabel = document.createElement("label");
+exportLabel.className = "option-label";
+exportLabel.textContent = "Export: ";
+const exportScaleSelect = document.createElement("select");
+exportScaleSelect.id = "export-scale-select";
+exportScaleSelect.title = "Export scale";
+EXPORT_SCALES.forEach((scale) => {
+  const opt = document.createElement("option");
+  opt.value = String(scale);
+  opt.textContent = `${scale}x`;
+  exportScaleSelect.appendChild(opt);
+});
+exportScaleSelect.value = String(exportSettings.scale);
+exportLabel.appendChild(exportScaleSelect);
+const exportFormatSelect = document.createElement("select");
+exportFormatSelect.id = "export-format-select";
+exportFormatSelect.title = "Export format";
+Object.entries(EXPORT_FORMATS).forEach(([value, format]) => {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = format.label;
+  exportFormatSelect.appendChild(opt);
+});
+exportFormatSelect.value = exportSettings.format;
+exportLabel.appendChild(exportFormatSelect);
+// JPEG has no transparency, so it needs something to fill behind the graphic
+const exportBackgroundInput = document.createElement("input");
+exportBackgroundInput.type = "color";
+exportBackgroundInput.id = "export-background-input";
+exportBackgroundInput.title = "Background color for JPEG";
+exportBackgroundInput.value = exportSettings.background;
+exportLabel.appendChild(exportBackgroundInput);
+graphicOptions.appendChild(exportLabel);
+
+const syncExportSettings = () => {
+  saveExportSettings({
+    scale: Number(exportScaleSelect.value),
+    format: exportFormatSelect.value,
+    background: exportBackgroundInput.value,
+  });
+  exportBackgroundInput.style.display = EXPORT_FORMATS[exportFormatSelect.value].opaque
+    ? ""
+    : "none";
+};
+[exportScaleSelect, exportFormatSelect, exportBackgroundInput].forEach((el) =>
+  el.addEventListener("change", syncExportSettings)
+);
+syncExportSettings();
+
+// the logo is kept as a data URL so it survives reloads
+cardLogoInput.addEventListener("change", () => {
+  const file = cardLogoInput.files?.[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      localStorage.setItem(CARD_LOGO_KEY, e.target.result);
+    } catch (err) {
+      console.warn("Logo too large to remember between visits.", err);
+    }
+  };
+  reader.readAsDataURL(file);
+});
+clearLogoBtn.addEventListener("click", () => {
+  localStorage.removeItem(CARD_LOGO_KEY);
+  cardLogoInput.value = "";
+});
+
 // BUTTON - Generate Graphic
 const generateGraphicBtn = document.createElement("button");
 generateGraphicBtn.id = "generate-graphic-btn";
@@ -80,9 +304,41 @@ top8GraphicArea.id = "graphic-area";
 // center canvas and buttons inside this area
 document.body.appendChild(top8GraphicArea);
 
-// Append the HSL filter section after the main graphic generator elements
-// center canvas and buttons inside this area
-document.body.appendChild(top8GraphicArea);
+// newsletter draft built from the fetched event and the edited rows
+const newsletterSection = createNewsletterSection({
+  getDraftInput: () => {
+    const rows = Array.from(container.querySelectorAll(".top8-row"));
+    if (!rows.length) return null;
+    return {
+      eventUrl: lastEventUrl,
+      stats: lastEventStats,
+      entries: readRowEntries(rows),
+      bracketSize: container.dataset.bracketSize || DEFAULT_BRACKET_SIZE,
+    };
+  },
+});
+newsletterSection.style.display = "none"; // hidden until successful fetch/render
+document.body.appendChild(newsletterSection);
+
+// upsets and seed vs placement, from the sets fetched with the event stats
+const upsetSection = createUpsetSection({ getSets: () => lastEventStats?.sets ?? null });
+upsetSection.style.display = "none"; // hidden until successful fetch/render
+document.body.appendChild(upsetSection);
+
+// round by round results and the top players' paths, exportable as text
+const bracketSection = createBracketSection({
+  getBracketInput: () => {
+    if (!lastEventStats?.sets) return null;
+    const rows = Array.from(container.querySelectorAll(".top8-row"));
+    return {
+      sets: lastEventStats.sets,
+      players: readRowEntries(rows),
+      eventUrl: lastEventUrl,
+    };
+  },
+});
+bracketSection.style.display = "none"; // hidden until successful fetch/render
+document.body.appendChild(bracketSection);
 
 
 // add a test button to generate graphic from dummy data
@@ -94,27 +350,334 @@ if (SHOW_TEST_BUTTON) {
 
   // wire up the test button to use dummy data for quick testing
   testBtn.addEventListener("click", async () => {
-    const dummy = [
-      { place: "1", name: "Lucky", character: "Fox", icon: null },
-      { place: "2", name: "Mango", character: "Falco", icon: null },
-      { place: "3", name: "Mew2King", character: "Marth", icon: null },
-      { place: "4", name: "PPMD", character: "Sheik", icon: null },
-      { place: "5", name: "Armada", character: "Peach", icon: null },
-      { place: "6", name: "Hbox", character: "Jigglypuff", icon: null },
-      { place: "7", name: "Wizzrobe", character: "Captain Falcon", icon: null },
-      { place: "8", name: "Axe", character: "Pikachu", icon: null },
-    ];
+    const dummy = SAMPLE_ENTRIES.map((e) => ({ ...e }));
 
     await handleGraphicGeneration(dummy);
   });
 }
 
-async function handleGraphicGeneration(entries) {
+function createCharacterSelect(value = "") {
+  const charSelect = document.createElement("select");
+  charSelect.className = "character-select";
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.textContent = "Select character";
+  charSelect.appendChild(defaultOption);
+
+  MELEE_CHARACTERS.forEach((c) => {
+    const opt = document.createElement("option");
+    opt.value = c;
+    opt.textContent = c;
+    charSelect.appendChild(opt);
+  });
+
+  charSelect.value = value;
+  return charSelect;
+}
+
+// a character select; the slot carries the player's remembered costume for that character.
+// There is no costume picker until the variant icons in assets/stockicons/costumes ship.
+function createCharacterSlot(character = "", costume = DEFAULT_COSTUME) {
+  const slot = document.createElement("div");
+  slot.className = "character-slot";
+  slot.dataset.costume = costume || DEFAULT_COSTUME;
+
+  const charSelect = createCharacterSelect(character);
+  // a remembered costume belongs to the character it was picked for
+  charSelect.addEventListener("change", () => {
+    slot.dataset.costume = DEFAULT_COSTUME;
+  });
+
+  slot.appendChild(charSelect);
+  return slot;
+}
+
+// secondary characters get their own slot plus a remove button
+function addSecondarySlot(charList, character = "", costume) {
+  const wrap = document.createElement("div");
+  wrap.className = "secondary-character";
+
+  const slot = createCharacterSlot(character, costume);
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "remove-character-btn";
+  removeBtn.textContent = "×";
+  removeBtn.title = "Remove character";
+  removeBtn.onclick = () => wrap.remove();
+
+  wrap.appendChild(slot);
+  wrap.appendChild(removeBtn);
+  charList.appendChild(wrap);
+  return slot.querySelector(".character-select");
+}
+
+// one editable row: placement, sponsor, name and an ordered list of characters (main first).
+// tag is the start.gg tag the name was resolved from, kept so alias changes can re-apply.
+// manual rows get an editable placement, a drag handle and a remove button.
+function createPlayerRow({
+  placement,
+  name,
+  sponsor = "",
+  tag = "",
+  playerId = null,
+  entrantId = null,
+  tied = false,
+  characters = [],
+  costumes = {},
+  manual = false,
+}) {
+  const row = document.createElement("div");
+  row.className = "top8-row";
+  row.dataset.place = String(placement);
+  if (playerId) row.dataset.playerId = String(playerId);
+  if (entrantId) row.dataset.entrantId = String(entrantId);
+  if (tag) {
+    row.dataset.tag = tag;
+    row.dataset.shownName = name;
+  }
+
+  let placelabel;
+  if (manual) {
+    placelabel = document.createElement("input");
+    placelabel.type = "text";
+    placelabel.className = "place-input";
+    placelabel.title = "Placement";
+    placelabel.value = String(placement);
+    placelabel.addEventListener("input", () => {
+      row.dataset.place = placelabel.value.trim();
+    });
+  } else {
+    placelabel = document.createElement("div");
+    placelabel.className = "place-label";
+    placelabel.textContent = formatPlacement(placement, tied);
+  }
+
+  const sponsorInput = document.createElement("input");
+  sponsorInput.type = "text";
+  sponsorInput.className = "sponsor-input";
+  sponsorInput.placeholder = "Sponsor";
+  sponsorInput.value = sponsor;
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "name-input";
+  nameInput.value = name;
+
+  const charList = document.createElement("div");
+  charList.className = "character-list";
+  const mainSlot = createCharacterSlot(characters[0], costumes[characters[0]]);
+  mainSlot.querySelector(".character-select").classList.add("main-character");
+  charList.appendChild(mainSlot);
+  characters
+    .slice(1)
+    .forEach((c) => addSecondarySlot(charList, c, costumes[c]));
+
+  const addCharBtn = document.createElement("button");
+  addCharBtn.type = "button";
+  addCharBtn.className = "add-character-btn";
+  addCharBtn.textContent = "+";
+  addCharBtn.title = "Add secondary character";
+  addCharBtn.onclick = () => addSecondarySlot(charList).focus();
+
+  row.appendChild(placelabel);
+  row.appendChild(sponsorInput);
+  row.appendChild(nameInput);
+  row.appendChild(charList);
+  row.appendChild(addCharBtn);
+
+  if (manual) {
+    // only the handle starts a drag, so text in the inputs can still be selected
+    const handle = document.createElement("span");
+    handle.className = "drag-handle";
+    handle.textContent = "⠿";
+    handle.title = "Drag to reorder";
+    handle.addEventListener("pointerdown", () => {
+      row.draggable = true;
+    });
+    handle.addEventListener("pointerup", () => {
+      row.draggable = false;
+    });
+    row.prepend(handle);
+
+    const removeRowBtn = document.createElement("button");
+    removeRowBtn.type = "button";
+    removeRowBtn.className = "remove-row-btn";
+    removeRowBtn.textContent = "×";
+    removeRowBtn.title = "Remove player";
+    removeRowBtn.onclick = () => {
+      row.remove();
+      syncManualBracketSize();
+    };
+    row.appendChild(removeRowBtn);
+  }
+  return row;
+}
+
+// the header's "Top {size}" follows the number of manual rows
+function syncManualBracketSize() {
+  const count = container.querySelectorAll(".top8-row").length;
+  container.dataset.bracketSize = String(count || DEFAULT_BRACKET_SIZE);
+}
+
+// replace the rows with manually entered ones; there is no start.gg event behind them,
+// so the set-based sections stay hidden and cached characters fill any blanks
+function showManualRows(entries) {
+  lastEventStats = null;
+  lastEventUrl = null;
+  container.innerHTML = "";
+  top8GraphicArea.innerHTML = "";
+  upsetSection.style.display = "none";
+  bracketSection.style.display = "none";
+
+  const cache = readCharacterCache();
+  const aliases = readAliases();
+  entries.forEach((e) => {
+    // pasted tags get aliases like fetched ones, and the cache is checked the same way
+    const name = e.name ? resolveAlias(e.name, aliases) : "";
+    let cached = name ? getCachedPlayer(cache, name) : { characters: [], costumes: {} };
+    if (!cached.characters.length && name !== e.name) {
+      cached = getCachedPlayer(cache, e.name);
+    }
+    container.appendChild(
+      createPlayerRow({
+        placement: e.place,
+        name,
+        sponsor: e.sponsor,
+        tag: e.name,
+        characters: e.characters.length ? e.characters : cached.characters,
+        costumes: cached.costumes,
+        manual: true,
+      })
+    );
+  });
+
+  const addRowBtn = document.createElement("button");
+  addRowBtn.type = "button";
+  addRowBtn.className = "secondary add-row-btn";
+  addRowBtn.textContent = "Add Row";
+  addRowBtn.onclick = () => {
+    const places = Array.from(container.querySelectorAll(".top8-row"), (r) =>
+      parseInt(r.dataset.place, 10)
+    ).filter(Number.isFinite);
+    const row = createPlayerRow({ placement: Math.max(0, ...places) + 1, name: "", manual: true });
+    addRowBtn.before(row);
+    syncManualBracketSize();
+    row.querySelector(".name-input").focus();
+  };
+  container.appendChild(addRowBtn);
+
+  syncManualBracketSize();
+  generateGraphicBtn.style.display = "block";
+  graphicOptions.style.display = "block";
+  newsletterSection.style.display = "block";
+}
+
+// drag manual rows by their handle. Placements stay with their position, so a player
+// dragged up the list takes the placement of the row they land on.
+let draggedRow = null;
+let dragPlaces = [];
+
+container.addEventListener("dragstart", (e) => {
+  draggedRow = e.target.closest?.(".top8-row") ?? null;
+  if (!draggedRow) return;
+  dragPlaces = Array.from(container.querySelectorAll(".top8-row"), (r) => r.dataset.place);
+  draggedRow.classList.add("dragging");
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", ""); // Firefox only starts a drag with some data set
+});
+
+container.addEventListener("dragover", (e) => {
+  if (!draggedRow) return;
+  e.preventDefault();
+  const target = e.target.closest(".top8-row");
+  if (!target || target === draggedRow) return;
+  // drop above the row when over its top half, below it otherwise
+  const { top, height } = target.getBoundingClientRect();
+  if (e.clientY < top + height / 2) target.before(draggedRow);
+  else target.after(draggedRow);
+});
+
+container.addEventListener("drop", (e) => {
+  if (draggedRow) e.preventDefault();
+});
+
+container.addEventListener("dragend", () => {
+  if (!draggedRow) return;
+  container.querySelectorAll(".top8-row").forEach((row, i) => {
+    row.dataset.place = dragPlaces[i];
+    const placeInput = row.querySelector(".place-input");
+    if (placeInput) placeInput.value = dragPlaces[i];
+  });
+  draggedRow.classList.remove("dragging");
+  draggedRow.draggable = false;
+  draggedRow = null;
+});
+
+// read {place, name, characters, costumes} entries back out of the editable rows
+function readRowEntries(rows) {
+  return rows.map((r) => {
+    const place = r.dataset.place || "";
+    const name = (r.querySelector(".name-input")?.value || "").trim() || "Unknown";
+    const sponsor = (r.querySelector(".sponsor-input")?.value || "").trim();
+    // main first, then secondaries in the order they were added; skip empty and duplicate picks
+    const characters = [];
+    const costumes = {};
+    r.querySelectorAll(".character-slot").forEach((slot) => {
+      const character = slot.querySelector(".character-select").value.trim();
+      if (!character || characters.includes(character)) return;
+      characters.push(character);
+      costumes[character] = slot.dataset.costume;
+    });
+    const playerId = r.dataset.playerId || null;
+    const entrantId = r.dataset.entrantId || null;
+    return {
+      place,
+      name,
+      sponsor,
+      playerId,
+      entrantId,
+      character: characters[0],
+      characters,
+      costumes,
+      icons: [],
+    };
+  });
+}
+
+async function handleGraphicGeneration(entries, bracketSize = DEFAULT_BRACKET_SIZE) {
   await fontLoadPromise; // Ensure the custom font is loaded before generating the graphic
   top8GraphicArea.innerHTML = "Generating...";
 
   try {
-    const canvas = await generateGraphic(entries); // No need to pass customFontFamily anymore
+    // themes can use other fonts; make sure those are ready too (a bad font family rejects)
+    await document.fonts.load(`${currentTheme.headerSize}px ${currentTheme.fontFamily}`);
+    const card = cardCheckbox.checked
+      ? {
+          title: lastEventStats?.tournamentName || "",
+          date: formatEventDate(lastEventStats?.startAt),
+          attendees: lastEventStats?.nonDQAttendees ?? null,
+          sets: lastEventStats?.nonDQSets ?? null,
+          logo: localStorage.getItem(CARD_LOGO_KEY),
+          watermark: CARD_WATERMARK,
+        }
+      : null;
+    // "▲2" next to players who finished above their seed tier, "▼1" below it
+    const performance = new Map(
+      (markerCheckbox.checked ? computeSeedPerformance(lastEventStats?.sets ?? []) : []).map(
+        (p) => [p.entrantId, p.performance]
+      )
+    );
+    entries.forEach((e) => {
+      e.marker = formatPerformance(performance.get(e.entrantId));
+    });
+    const renderOptions = {
+      theme: currentTheme,
+      headerText: resolveHeaderText(currentTheme, bracketSize),
+      card,
+      sponsors: sponsorSelect.value,
+    };
+    const scale = readExportSettings().scale;
+    const canvas = await generateGraphic(entries, { ...renderOptions, pixelRatio: scale });
     top8GraphicArea.innerHTML = "";
     top8GraphicArea.appendChild(canvas);
 
@@ -134,32 +697,56 @@ async function handleGraphicGeneration(entries) {
     };
     top8GraphicArea.appendChild(copyBtn);
 
-    // persist mapping of cleaned player name -> character for future autocomplete
-    let map = {};
-    try {
-      map = JSON.parse(localStorage.getItem("character-cache") || "{}");
-    } catch (e) {
-      console.warn("Could not read existing cache, starting fresh.", e);
-    }
-
-    entries.forEach((e) => {
-      if (e.name && e.character) {
-        map[cleanName(e.name)] = e.character;
+    // download in the chosen format; a changed scale re-renders rather than resampling
+    const downloadBtn = document.createElement("button");
+    downloadBtn.textContent = "Download";
+    downloadBtn.className = "download-btn";
+    downloadBtn.onclick = async () => {
+      const settings = readExportSettings();
+      downloadBtn.ariaBusy = "true";
+      try {
+        let blob;
+        if (settings.format === "svg") {
+          blob = await renderSvgBlob(entries, renderOptions);
+        } else {
+          const source =
+            settings.scale === scale
+              ? canvas
+              : await generateGraphic(entries, { ...renderOptions, pixelRatio: settings.scale });
+          blob = await canvasToBlob(source, settings.format, settings.background);
+        }
+        downloadBlob(blob, exportFileName(lastEventUrl, bracketSize, settings.format));
+      } catch (err) {
+        console.error(err);
+        downloadBtn.textContent = `Download failed: ${err.message}`;
+        setTimeout(() => (downloadBtn.textContent = "Download"), 3000);
+      } finally {
+        downloadBtn.ariaBusy = "false";
       }
-    });
-    localStorage.setItem("character-cache", JSON.stringify(map));
+    };
+    top8GraphicArea.appendChild(downloadBtn);
+
+    // persist each player's characters for future autocomplete
+    saveCharactersToCache(entries);
   } catch (err) {
     console.error(err);
     top8GraphicArea.innerText = "Error generating graphic: " + err.message;
   }
 }
 
-fetchTop8Btn.addEventListener("click", async () => {
+async function fetchTop8({ refresh = false } = {}) {
   fetchTop8Btn.disabled = true;
+  refreshTop8Btn.disabled = true;
 
   fetchTop8Btn.ariaBusy = "true";
   fetchTop8Btn.textContent = "Fetching...";
   generateGraphicBtn.style.display = "none";
+  graphicOptions.style.display = "none";
+  newsletterSection.style.display = "none";
+  upsetSection.style.display = "none";
+  upsetSection.querySelector("details").open = false; // re-renders for the new event when reopened
+  bracketSection.style.display = "none";
+  bracketSection.querySelector("details").open = false;
   top8GraphicArea.innerHTML = "";
 
   // validate input contains "event"
@@ -172,6 +759,7 @@ fetchTop8Btn.addEventListener("click", async () => {
     container.innerText =
       'Invalid link: please provide a start.gg URL or slug that contains "tournament/.../event/".';
     fetchTop8Btn.disabled = false;
+    refreshTop8Btn.disabled = false;
     startggInput.ariaInvalid = "true"; // Indicate invalid input
     fetchTop8Btn.ariaBusy = "false";
     fetchTop8Btn.textContent = "Fetch";
@@ -181,8 +769,11 @@ fetchTop8Btn.addEventListener("click", async () => {
   startggInput.ariaInvalid = "false"; // Reset to valid if validation passes
 
   try {
-    const nodes = await getTop8(url); // This fetches the top 8 players
-    const stats = await getEventStats(url); // This fetches the attendee count
+    const bracketSize = Number(bracketSizeSelect.value) || DEFAULT_BRACKET_SIZE;
+    // top N standings plus every set (attendance, grand finals, seeds) in one request flow
+    const { standings: nodes, stats } = await getEventResults(url, bracketSize, { refresh });
+    lastEventStats = stats;
+    lastEventUrl = url;
 
     if (nodes && nodes.length) {
       // render editable inputs + character dropdown for each player
@@ -190,71 +781,79 @@ fetchTop8Btn.addEventListener("click", async () => {
       container.innerHTML = "";
 
       // Display event stats if available
-      // Assuming stats is now an object like { nonDQAttendees: 100, nonDQSets: 500 }
+      // stats comes from getEventResults: attendance and set counts (null when unknown),
+      // plus truncated when the event had more sets than we fetch
       if (stats && (stats.nonDQAttendees !== null || stats.nonDQSets !== null)) {
         const statsDiv = document.createElement("div");
         statsDiv.className = "event-stats"; // Add a class for potential styling
         statsDiv.textContent = `Attendees: ${stats.nonDQAttendees ?? 'N/A'}, Sets: ${stats.nonDQSets ?? 'N/A'}`;
+        if (stats.truncated) {
+          statsDiv.textContent += " (partial: this event has more sets than we fetch)";
+        }
         container.appendChild(statsDiv);
       }
-      // load persisted cache (player name -> character)
-      let cache = {};
-      try {
-        cache = JSON.parse(localStorage.getItem("character-cache") || "{}");
-      } catch (e) {
-        console.warn("Invalid character cache, ignoring.", e);
-      }
+      const cache = readCharacterCache();
 
       const sorted = nodes
         .slice()
         .sort((a, b) => (a.placement ?? 0) - (b.placement ?? 0))
-        .slice(0, 8);
+        .slice(0, bracketSize);
+      const ties = tiedPlacements(sorted.map((n) => n.placement));
+      container.dataset.bracketSize = String(bracketSize);
+
+      // characters reported on start.gg take priority over the cache; don't fail the fetch over them
+      let reported = {};
+      try {
+        const entrantIds = sorted.map((n) => n.entrant?.id).filter(Boolean);
+        reported = await getEntrantCharacters(url, entrantIds, { refresh });
+      } catch (e) {
+        console.warn("Could not fetch reported characters, using cache only.", e);
+      }
+
+      const aliases = readAliases();
 
       sorted.forEach((n) => {
         const placement = n.placement ?? "";
         const rawName = n.entrant?.name ?? "Unknown";
-
-        const row = document.createElement("div");
-        row.className = "top8-row";
-
-        const placelabel = document.createElement("div");
-        placelabel.textContent = `${placement}.`;
-
-        const nameInput = document.createElement("input");
-        nameInput.type = "text";
-        nameInput.value = cleanName(rawName);
-
-        const charSelect = document.createElement("select");
-        const defaultOption = document.createElement("option");
-        defaultOption.value = "";
-        defaultOption.textContent = "Select character";
-        charSelect.appendChild(defaultOption);
-
-        MELEE_CHARACTERS.forEach((c) => {
-          const opt = document.createElement("option");
-          opt.value = c;
-          opt.textContent = c;
-          charSelect.appendChild(opt);
-        });
-
-        // if we have a cached character for this player, set it as the default
-        try {
-          const key = cleanName(rawName);
-          if (cache && cache[key]) {
-            charSelect.value = cache[key];
-          }
-        } catch (e) {
-          // ignore cache lookup errors
+        // singles entrants have one participant with its own sponsor prefix, tag and
+        // start.gg player id (which keys the cache); fall back to splitting the entrant name
+        const participant = n.entrant?.participants?.[0];
+        const split = splitSponsor(rawName);
+        const tag = participant?.gamerTag || split.tag;
+        const sponsor = participant ? participant.prefix || "" : split.sponsor;
+        const playerId = participant?.player?.id ?? null;
+        const name = resolveAlias(tag, aliases);
+
+        // if we have cached characters/costumes for this player, use them as the default;
+        // entries saved before the alias existed are stored under the plain tag
+        let cached = getCachedPlayer(cache, name, playerId);
+        if (!cached.characters.length && name !== tag) {
+          cached = getCachedPlayer(cache, tag, playerId);
         }
-
-        row.appendChild(placelabel);
-        row.appendChild(nameInput);
-        row.appendChild(charSelect);
-
-        container.appendChild(row);
+        const reportedCharacters = (reported[n.entrant?.id] || [])
+          .map(matchMeleeCharacter)
+          .filter((c, i, all) => c && all.indexOf(c) === i);
+        if (reportedCharacters.length) cached.characters = reportedCharacters;
+
+        container.appendChild(
+          createPlayerRow({
+            placement,
+            name,
+            sponsor,
+            tag,
+            playerId,
+            entrantId: n.entrant?.id,
+            tied: ties.has(n.placement),
+            ...cached,
+          })
+        );
       });
       // enable generate button when rows are present
       generateGraphicBtn.style.display = "block";
+      graphicOptions.style.display = "block";
+      newsletterSection.style.display = "block";
+      upsetSection.style.display = "block";
+      bracketSection.style.display = "block";
     } else {
       container.innerText = "No standings returned.";
       fetchTop8Btn.ariaBusy = "false";
@@ -263,14 +862,20 @@ fetchTop8Btn.addEventListener("click", async () => {
     }
   } catch (err) {
     console.error(err);
-    container.innerText = "Error fetching top 8.";
+    // StartggErrors carry a specific message (bad key, unknown event, rate limit, offline)
+    container.innerText = `Error fetching top 8: ${err.message}`;
+    if (err instanceof StartggNotFoundError) startggInput.ariaInvalid = "true";
     fetchTop8Btn.ariaBusy = "false";
     fetchTop8Btn.textContent = "Fetch";
   } finally {
     fetchTop8Btn.disabled = false;
+    refreshTop8Btn.disabled = false;
     fetchTop8Btn.ariaBusy = "false";
   }
-});
+}
+
+fetchTop8Btn.addEventListener("click", () => fetchTop8());
+refreshTop8Btn.addEventListener("click", () => fetchTop8({ refresh: true }));
 
 // update existing generate button to use the refactored function
 generateGraphicBtn.addEventListener("click", async () => {
@@ -293,8 +898,8 @@ generateGraphicBtn.addEventListener("click", async () => {
 
   // clear previous visual warnings on selects/inputs
   rows.forEach((r) => {
-    const sel = r.querySelector("select");
-    const inp = r.querySelector("input");
+    const sel = r.querySelector("select.main-character");
+    const inp = r.querySelector(".name-input");
     if (sel) {
       sel.classList.remove("input-error");
     }
@@ -304,15 +909,15 @@ generateGraphicBtn.addEventListener("click", async () => {
     r.classList.remove("missing-character");
   });
 
-  // find first row with missing character selection
+  // find first row with missing main character selection
   const missingIndex = rows.findIndex((r) => {
-    return !(r.querySelector("select")?.value || "").trim();
+    return !(r.querySelector("select.main-character")?.value || "").trim();
   });
 
   if (missingIndex !== -1) {
     const missingRow = rows[missingIndex];
-    const sel = missingRow.querySelector("select");
-    const inp = missingRow.querySelector("input");
+    const sel = missingRow.querySelector("select.main-character");
+    const inp = missingRow.querySelector(".name-input");
     if (sel) {
       // visually indicate the missing selection and focus it
       sel.classList.add("input-error");
@@ -332,18 +937,56 @@ generateGraphicBtn.addEventListener("click", async () => {
     return;
   }
 
-  const entries = rows.map((r) => {
-    const place = r.children[0]?.textContent?.replace(".", "")?.trim() || "";
-    const name = (r.querySelector("input")?.value || "").trim() || "Unknown";
-    const character = (r.querySelector("select")?.value || "").trim();
-    return { place, name, character, icon: null };
-  });
+  const entries = readRowEntries(rows);
 
   // clear any previous status message (errorDiv used instead of replacing container)
   errorDiv.textContent = "";
 
-  await handleGraphicGeneration(entries);
+  const bracketSize = container.dataset.bracketSize || DEFAULT_BRACKET_SIZE;
+  await handleGraphicGeneration(entries, bracketSize);
 });
 
+// theme editor previews the current rows, or sample data before anything is fetched
+const themeEditorSection = createThemeEditorSection({
+  onThemeChange: (theme) => {
+    currentTheme = theme;
+  },
+  getPreviewEntries: () => {
+    const rows = Array.from(container.querySelectorAll(".top8-row"));
+    const entries = readRowEntries(rows).filter((e) => e.characters.length);
+    if (!entries.length) {
+      return { entries: SAMPLE_ENTRIES, size: DEFAULT_BRACKET_SIZE };
+    }
+    return { entries, size: container.dataset.bracketSize || DEFAULT_BRACKET_SIZE };
+  },
+});
+generateGraphicBtn.after(themeEditorSection);
+
+const characterCacheSection = createCharacterCacheSection();
+themeEditorSection.after(characterCacheSection);
+
+const responseCacheSection = createResponseCacheSection();
+characterCacheSection.after(responseCacheSection);
+
+// re-apply aliases to fetched rows whose name hasn't been edited by hand
+const aliasSection = createAliasSection({
+  onChange: () => {
+    const aliases = readAliases();
+    container.querySelectorAll(".top8-row[data-tag]").forEach((row) => {
+      const nameInput = row.querySelector(".name-input");
+      const shown = resolveAlias(row.dataset.tag, aliases);
+      if (nameInput.value === row.dataset.shownName) {
+        nameInput.value = shown;
+      }
+      row.dataset.shownName = shown;
+    });
+  },
+});
+responseCacheSection.after(aliasSection);
+
+// season standings across several weeklies, drawn with the current theme
+const seasonSection = createSeasonSection({ getTheme: () => currentTheme });
+aliasSection.after(seasonSection);
+
 const hslFilterSection = createHslFilterSection();
 document.body.appendChild(hslFilterSection);
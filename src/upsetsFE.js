@@ -0,0 +1,101 @@
+import { computeUpsets, computeSeedPerformance, formatPerformance } from "./seeding.js";
+
+// Encapsulate the upset / seed performance panel for the last fetched event.
+// getSets() returns the event's set nodes (with seeds and placements) or null before a fetch.
+export function createUpsetSection({ getSets }) {
+  // ============================================
+  // UPSET ANALYSIS UI CREATION
+  // ============================================
+  const upsetSection = document.createElement("section");
+  upsetSection.id = "upset-section";
+  upsetSection.className = "upset-section";
+
+  const details = document.createElement("details");
+  upsetSection.appendChild(details);
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Upsets & Seed Performance";
+  details.appendChild(summary);
+
+  const upsetStatus = document.createElement("div");
+  upsetStatus.className = "cache-status";
+  details.appendChild(upsetStatus);
+
+  const upsetHeading = document.createElement("h4");
+  upsetHeading.textContent = "Upsets";
+  details.appendChild(upsetHeading);
+
+  const upsetTable = document.createElement("table");
+  upsetTable.className = "upset-table";
+  upsetTable.innerHTML =
+    "<thead><tr><th>Upset factor</th><th>Winner</th><th>Loser</th><th>Score</th><th>Round</th></tr></thead>";
+  const upsetBody = document.createElement("tbody");
+  upsetTable.appendChild(upsetBody);
+  details.appendChild(upsetTable);
+
+  const performanceHeading = document.createElement("h4");
+  performanceHeading.textContent = "Seed performance";
+  details.appendChild(performanceHeading);
+
+  const performanceTable = document.createElement("table");
+  performanceTable.className = "performance-table";
+  performanceTable.innerHTML =
+    "<thead><tr><th>Player</th><th>Seed</th><th>Placement</th><th>vs. seed</th></tr></thead>";
+  const performanceBody = document.createElement("tbody");
+  performanceTable.appendChild(performanceBody);
+  details.appendChild(performanceTable);
+
+  // ============================================
+  // UPSET ANALYSIS EVENT LISTENERS
+  // ============================================
+
+  const emptyRow = (tbody, colSpan, text) => {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = colSpan;
+    cell.textContent = text;
+  };
+
+  const renderAnalysis = () => {
+    upsetBody.innerHTML = "";
+    performanceBody.innerHTML = "";
+    const sets = getSets() || [];
+    if (!sets.length) {
+      upsetStatus.textContent = "Fetch an event first.";
+      return;
+    }
+
+    const upsets = computeUpsets(sets);
+    const performance = computeSeedPerformance(sets);
+    upsetStatus.textContent = performance.length
+      ? `${upsets.length} upsets across ${sets.length} sets.`
+      : "This event has no seeding data.";
+
+    if (!upsets.length) emptyRow(upsetBody, 5, "No upsets.");
+    upsets.forEach((u) => {
+      const row = upsetBody.insertRow();
+      row.insertCell().textContent = String(u.factor);
+      row.insertCell().textContent = `${u.winner} (${u.winnerSeed})`;
+      row.insertCell().textContent = `${u.loser} (${u.loserSeed})`;
+      row.insertCell().textContent = u.displayScore;
+      row.insertCell().textContent = u.round;
+    });
+
+    if (!performance.length) emptyRow(performanceBody, 4, "No seeds found.");
+    performance.forEach((p) => {
+      const row = performanceBody.insertRow();
+      row.insertCell().textContent = p.name;
+      row.insertCell().textContent = String(p.seed);
+      row.insertCell().textContent = String(p.placement);
+      const cell = row.insertCell();
+      cell.textContent = formatPerformance(p.performance) || "—";
+      if (p.performance > 0) cell.className = "overperformed";
+      if (p.performance < 0) cell.className = "underperformed";
+    });
+  };
+
+  details.addEventListener("toggle", () => {
+    if (details.open) renderAnalysis();
+  });
+
+  return upsetSection; // Return the created section
+}
@@ -10,9 +10,65 @@ export function extractSlug(input) {
   return input;
 }
 
-// helper to strip everything before and including the pipe
+// helper to split a start.gg entrant name ("SPONSOR | Tag") into sponsor prefix and tag.
+// start.gg joins them with " | ", so a pipe without surrounding spaces stays part of the tag.
+export function splitSponsor(name) {
+  if (!name) return { sponsor: "", tag: "Unknown" };
+  const index = name.indexOf(" | ");
+  if (index === -1) return { sponsor: "", tag: name.trim() };
+  return {
+    sponsor: name.slice(0, index).trim(),
+    tag: name.slice(index + 3).trim() || "Unknown",
+  };
+}
+
+// helper to strip the sponsor prefix, keeping just the tag
 export function cleanName(name) {
-  if (!name) return "Unknown";
-  const parts = name.split("|");
-  return parts[parts.length - 1].trim();
+  return splitSponsor(name).tag;
+}
+
+// helper to format a placement label, marking shared placements as ties ("T5.")
+export function formatPlacement(place, tied = false) {
+  return `${tied ? "T" : ""}${place}.`;
+}
+
+// helper to find which placements are shared by more than one entry
+export function tiedPlacements(places) {
+  const counts = {};
+  places.forEach((p) => (counts[p] = (counts[p] || 0) + 1));
+  return new Set(places.filter((p) => counts[p] > 1));
+}
+
+// helper to format a start.gg timestamp (unix seconds) as e.g. "Tue, Oct 14, 2025"
+export function formatEventDate(startAt) {
+  if (!startAt) return "";
+  return new Date(startAt * 1000).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+const NOT_SINGLES = /doubles|teams|ladder|redemption|amateur/i;
+
+// helper to tell whether an event looks like Melee singles (videogame 1)
+export function isMeleeSinglesEvent(event) {
+  return String(event?.videogame?.id ?? 1) === "1" && !NOT_SINGLES.test(event?.name || "");
+}
+
+// helper to pick a tournament's Melee singles event (videogame 1) out of its events
+export function pickMeleeSinglesEvent(events) {
+  const singles = (events || []).filter(isMeleeSinglesEvent);
+  return singles.find((e) => /singles/i.test(e.name)) || singles[0] || null;
+}
+
+// helper to save a blob as a file through a temporary download link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
@@ -1,7 +1,64 @@
-import { defineConfig } from 'vite';
+import { fileURLToPath } from 'node:url';
+import { defineConfig, loadEnv } from 'vite';
+import startgg from './netlify/functions/startgg.mjs';
+import removebg from './netlify/functions/removebg.mjs';
 
-export default defineConfig({
+const FUNCTIONS = { startgg, removebg };
+const SERVER_KEYS = ['STARTGG_KEY', 'REMOVEBG_KEY'];
+// .env sits next to this file, wherever vite is started from
+const PROJECT_DIR = fileURLToPath(new URL('.', import.meta.url));
+
+// Serve netlify/functions at /.netlify/functions/* from the dev and preview servers,
+// so the API proxies work locally without deploying or installing netlify-cli.
+function netlifyFunctions(env) {
+  // keys come from .env like on Netlify, but never get a VITE_ prefix so they stay out of the bundle
+  SERVER_KEYS.forEach((key) => {
+    if (env[key] && !process.env[key]) process.env[key] = env[key];
+  });
+
+  const middleware = async (req, res) => {
+    const handler = FUNCTIONS[req.url.split('?')[0].replace(/^\//, '')];
+    if (!handler) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const request = new Request(`http://localhost${req.originalUrl}`, {
+      method: req.method,
+      headers: req.headers,
+      body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks),
+    });
+
+    try {
+      const response = await handler(request);
+      res.statusCode = response.status;
+      response.headers.forEach((value, key) => res.setHeader(key, value));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (err) {
+      console.error(err);
+      res.statusCode = 502;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: `Proxy request failed: ${err.message}` }));
+    }
+  };
+
+  return {
+    name: 'netlify-functions',
+    configureServer(server) {
+      server.middlewares.use('/.netlify/functions', middleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/.netlify/functions', middleware);
+    },
+  };
+}
+
+export default defineConfig(({ mode }) => ({
+  plugins: [netlifyFunctions(loadEnv(mode, PROJECT_DIR, ''))],
   build: {
     outDir: 'dist',
   },
-});
\ No newline at end of file
+}));